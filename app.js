@@ -7,7 +7,8 @@
 const appState = {
     isConnected: false,
     currentScreen: 'monitor',
-    lastReading: null
+    lastReading: null,
+    reconnect: null
 };
 
 // Initialize app
@@ -22,8 +23,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.error('[App] Storage init failed:', error);
     }
 
+    // Infant profile first - its age preset feeds the alert thresholds
+    await window.profileManager.init();
+
     // Initialize alerts
     await window.alertsManager.init();
+    window.alarmManager.init();
+
+    // Sleep sessions (resumes one left running by the last page load)
+    await window.sessionManager.init();
 
     // Load last Gemini analysis
     await window.geminiManager.loadLastAnalysis();
@@ -31,19 +39,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Setup UI
     initNavigation();
     initTimeTabs();
-    initSliders();
+    await initHistoryCharts();
+    initRulesEditor();
+    initStorageSettings();
     initClearAlerts();
+    initAlarmUI();
+    initSleepUI();
     initSettingsUI();
     initExportButtons();
+    initReportUI();
+    initBackupUI();
 
     // Setup connection listeners
     setupConnectionListeners();
 
-    // Start connection to Pi
-    window.connectionManager.start();
+    // Start connections to every enabled Pi
+    window.deviceRegistry.startAll();
 
     // Initial UI state (disconnected)
-    updateConnectionUI(false);
+    showSelectedDevice();
 
     console.log('[App] Initialization complete');
 });
@@ -53,45 +67,102 @@ document.addEventListener('DOMContentLoaded', async () => {
    ======================================== */
 
 function setupConnectionListeners() {
-    const cm = window.connectionManager;
+    const registry = window.deviceRegistry;
+
+    registry.getManagers().forEach(cm => attachDeviceListeners(cm));
+
+    registry.on('added', ({ manager }) => {
+        attachDeviceListeners(manager);
+        refreshDeviceUI();
+    });
+
+    registry.on('updated', refreshDeviceUI);
+    registry.on('removed', refreshDeviceUI);
+    registry.on('added', renderDataQuality);
+    registry.on('updated', renderDataQuality);
+    registry.on('removed', renderDataQuality);
+    registry.on('activeChanged', showSelectedDevice);
+
+    // Listen for alerts
+    window.alertsManager.on('alert', (alert) => {
+        refreshAlertsUI();
+        updateAlertBadge();
+    });
+    window.alertsManager.on('alertUpdated', refreshAlertsUI);
+    window.alertsManager.on('alertCleared', refreshAlertsUI);
+}
+
+// Is this the device the Monitor screen is showing in detail?
+function isSelectedDevice(deviceId) {
+    return deviceId === window.deviceRegistry.getSelectedId();
+}
 
+function attachDeviceListeners(cm) {
     cm.on('connected', (data) => {
-        appState.isConnected = true;
-        updateConnectionUI(true);
-        console.log('[App] Connected to Pi at', data.address);
+        if (isSelectedDevice(cm.deviceId)) {
+            appState.isConnected = true;
+            updateConnectionUI(true);
+        }
+        renderDeviceOverview();
+        console.log(`[App] ${cm.deviceName} connected at`, data.address);
+
+        // Fill in whatever the Pi recorded while we weren't listening
+        window.importManager.backfill(cm);
     });
 
     cm.on('disconnected', (data) => {
-        appState.isConnected = false;
-        updateConnectionUI(false);
-        console.log('[App] Disconnected from Pi:', data.error);
+        if (isSelectedDevice(cm.deviceId)) {
+            appState.isConnected = false;
+            updateConnectionUI(false);
+        }
+        renderDeviceOverview();
+        console.log(`[App] ${cm.deviceName} disconnected:`, data.error);
     });
 
-    cm.on('data', async (reading) => {
-        appState.lastReading = reading;
+    cm.on('data', (reading) => {
+        if (isSelectedDevice(cm.deviceId)) {
+            appState.lastReading = reading;
 
-        // Update UI with real data
-        updateMonitorUI(reading);
+            // Update UI with real data
+            updateMonitorUI(reading);
+        }
+        renderDeviceOverview();
 
-        // Store reading
-        try {
-            await window.storageManager.saveReading(reading);
-        } catch (error) {
+        // Store reading (written with the next batch - alerts don't wait for it)
+        window.storageManager.saveReading(reading).catch(error => {
             console.error('[App] Failed to save reading:', error);
-        }
+        });
 
         // Check for alerts
         window.alertsManager.checkReading(reading);
+
+        // Sleep detection
+        window.sessionManager.processReading(reading);
     });
 
     cm.on('error', (data) => {
-        console.warn('[App] Connection error:', data.message);
+        console.warn(`[App] ${cm.deviceName} connection error:`, data.message);
     });
 
-    // Listen for alerts
-    window.alertsManager.on('alert', (alert) => {
-        refreshAlertsUI();
-        updateAlertBadge();
+    cm.on('invalidReading', () => {
+        renderDataQuality();
+    });
+
+    cm.on('reconnecting', (data) => {
+        if (!isSelectedDevice(cm.deviceId)) return;
+        appState.reconnect = data;
+        updateReconnectMessage();
+    });
+
+    cm.on('stateChange', ({ state }) => {
+        renderDeviceOverview();
+        renderDeviceList();
+
+        if (!isSelectedDevice(cm.deviceId)) return;
+        if (state === 'connected') {
+            appState.reconnect = null;
+        }
+        updateReconnectMessage();
     });
 }
 
@@ -100,6 +171,13 @@ function updateConnectionUI(isConnected) {
     const statusText = document.querySelector('.status-indicator .status-text');
     const disconnectedOverlay = document.getElementById('disconnected-overlay');
 
+    // The overview summarises every crib instead
+    if (window.deviceRegistry.activeId === 'all') {
+        disconnectedOverlay?.classList.add('hidden');
+        updateOverviewStatus();
+        return;
+    }
+
     if (isConnected) {
         statusDot?.classList.add('active');
         if (statusText) statusText.textContent = 'System Nominal';
@@ -122,6 +200,47 @@ function updateConnectionUI(isConnected) {
     }
 }
 
+// Tick the "retrying in Ns" countdown on the disconnected overlay
+let reconnectTicker = null;
+
+function updateReconnectMessage() {
+    const message = document.getElementById('disconnected-message');
+    if (!message) return;
+
+    const cm = window.connectionManager;
+    const retry = appState.reconnect;
+
+    // A countdown left over from before must not overwrite the message below
+    if (reconnectTicker) {
+        clearTimeout(reconnectTicker);
+        reconnectTicker = null;
+    }
+
+    if (!window.deviceRegistry.getDevice(cm.deviceId)?.enabled) {
+        message.textContent = 'This crib is disabled in Settings';
+        return;
+    }
+
+    if (cm.state === 'offline' && !cm.running) {
+        message.textContent = navigator.onLine ? 'Not connecting' : 'This device has no network connection';
+        return;
+    }
+
+    if (!retry || cm.state === 'connecting') {
+        message.textContent = 'Waiting for Raspberry Pi...';
+        return;
+    }
+
+    const seconds = Math.ceil((retry.nextRetryAt - Date.now()) / 1000);
+    if (seconds <= 0) {
+        message.textContent = `Reconnecting... (attempt ${retry.attempt})`;
+        return;
+    }
+
+    message.textContent = `Retrying in ${seconds}s (attempt ${retry.attempt})`;
+    reconnectTicker = setTimeout(updateReconnectMessage, 1000);
+}
+
 function clearSensorValues() {
     // Respiration
     const respValue = document.getElementById('resp-value');
@@ -153,6 +272,8 @@ function clearSensorValues() {
 
     // Clear waveform
     clearWaveform();
+
+    clearStaleSensors();
 }
 
 function updateHardwareStatus(isOnline) {
@@ -161,7 +282,7 @@ function updateHardwareStatus(isOnline) {
         if (isOnline) {
             item.textContent = item.dataset.status || 'Active';
             item.className = 'hardware-status active';
-        } else {
+        } else if (!item.classList.contains('offline')) {
             item.dataset.status = item.textContent;
             item.textContent = 'Offline';
             item.className = 'hardware-status offline';
@@ -206,14 +327,7 @@ function updateMonitorUI(reading) {
         const postureValue = document.getElementById('posture-value');
         const postureIcon = document.querySelector('.posture-icon svg');
         if (postureValue) {
-            const stateMap = {
-                'supine': 'Back',
-                'side': 'Side',
-                'prone': 'Prone',
-                'sitting': 'Sitting',
-                'unknown': 'Unknown'
-            };
-            postureValue.textContent = stateMap[reading.posture.state] || reading.posture.state;
+            postureValue.textContent = formatPosture(reading.posture.state);
 
             // Update icon color based on safety
             if (postureIcon) {
@@ -230,7 +344,11 @@ function updateMonitorUI(reading) {
     if (reading.radar !== undefined) {
         const radarStatus = document.getElementById('radar-status');
         if (radarStatus) {
-            radarStatus.textContent = reading.radar.active ? 'Active' : 'Inactive';
+            if (reading.radar.active === null) {
+                radarStatus.textContent = '--';
+            } else {
+                radarStatus.textContent = reading.radar.active ? 'Active' : 'Inactive';
+            }
         }
     }
 
@@ -251,10 +369,12 @@ function updateMonitorUI(reading) {
             if (envVOC) envVOC.textContent = reading.environment.voc.value.toFixed(2);
         }
 
-        // Gas safety icon
+        // Gas safety icon (grey when the sensor gave no usable answer)
         const gasIcon = document.querySelector('.env-status-icon svg');
         if (gasIcon && reading.environment.gas !== undefined) {
-            if (reading.environment.gas.safe) {
+            if (reading.environment.gas.safe === null) {
+                gasIcon.setAttribute('fill', '#9ca3af');
+            } else if (reading.environment.gas.safe) {
                 gasIcon.setAttribute('fill', '#4caf50');
             } else {
                 gasIcon.setAttribute('fill', '#ff1744');
@@ -262,10 +382,229 @@ function updateMonitorUI(reading) {
         }
     }
 
+    // Flag values the schema rejected
+    markInvalidFields(reading);
+
+    // Grey out sensors that stopped reporting
+    markStaleSensors(reading);
+
     // Update waveform with actual respiration signal
     updateWaveformWithReading(reading);
 }
 
+// Monitor elements for each validated reading field
+const FIELD_ELEMENTS = {
+    'respiration.value': 'resp-value',
+    'audio.state': 'audio-status',
+    'bodyTemp.value': 'body-temp',
+    'posture.state': 'posture-value',
+    'radar.active': 'radar-status',
+    'environment.temp.value': 'env-temp',
+    'environment.co2.value': 'env-co2',
+    'environment.voc.value': 'env-voc'
+};
+
+// Value elements for each sensor tracked by FreshnessTracker
+const SENSOR_VALUE_ELEMENTS = {
+    respiration: 'resp-value',
+    audio: 'audio-status',
+    bodyTemp: 'body-temp',
+    posture: 'posture-value',
+    radar: 'radar-status',
+    envTemp: 'env-temp',
+    co2: 'env-co2',
+    voc: 'env-voc'
+};
+
+function markStaleSensors(reading) {
+    const stale = reading.stale || [];
+
+    document.querySelectorAll('#device-detail [data-sensor]').forEach(card => {
+        const sensor = card.dataset.sensor;
+        const isStale = stale.includes(sensor);
+        card.classList.toggle('stale', isStale);
+
+        if (isStale) {
+            card.title = reading.staleInfo?.[sensor]?.reason || 'Not reporting';
+
+            // Never leave an old value on screen for a silent sensor
+            const valueElement = document.getElementById(SENSOR_VALUE_ELEMENTS[sensor]);
+            if (valueElement) valueElement.textContent = '--';
+        } else {
+            card.removeAttribute('title');
+        }
+    });
+}
+
+// Clear the greyed-out state (e.g. on disconnect, where the overlay takes over)
+function clearStaleSensors() {
+    document.querySelectorAll('#device-detail [data-sensor].stale').forEach(card => {
+        card.classList.remove('stale');
+        card.removeAttribute('title');
+    });
+}
+
+function markInvalidFields(reading) {
+    const invalid = reading.invalid || [];
+
+    Object.entries(FIELD_ELEMENTS).forEach(([field, elementId]) => {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        const isInvalid = invalid.includes(field);
+        element.classList.toggle('invalid', isInvalid);
+        if (isInvalid) {
+            element.textContent = '--';
+            element.title = 'Sensor sent an implausible value';
+        } else {
+            element.removeAttribute('title');
+        }
+    });
+}
+
+function formatPosture(state) {
+    const stateMap = {
+        'supine': 'Back',
+        'side': 'Side',
+        'prone': 'Prone',
+        'sitting': 'Sitting',
+        'unknown': 'Unknown'
+    };
+    return stateMap[state] || state;
+}
+
+// Escape user-entered text (crib names) before putting it in markup
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/* ========================================
+   DEVICES (CRIBS)
+   ======================================== */
+
+const CONNECTION_STATE_LABELS = {
+    'connecting': 'Connecting',
+    'connected': 'Connected',
+    'degraded': 'Reconnecting',
+    'backing-off': 'Retrying',
+    'offline': 'Offline'
+};
+
+function getDeviceStateLabel(device) {
+    if (!device.enabled) return 'Disabled';
+    const cm = window.deviceRegistry.getManager(device.id);
+    return CONNECTION_STATE_LABELS[cm.state] || cm.state;
+}
+
+// Re-render everything that lists devices
+function refreshDeviceUI() {
+    renderDeviceSwitcher();
+    renderDeviceOverview();
+    renderDeviceList();
+}
+
+// Switch the Monitor screen to the registry's active device (or the overview)
+function showSelectedDevice() {
+    const registry = window.deviceRegistry;
+    const isOverview = registry.activeId === 'all';
+    const cm = window.connectionManager;
+
+    document.getElementById('device-detail')?.classList.toggle('hidden', isOverview);
+    document.getElementById('device-overview')?.classList.toggle('hidden', !isOverview);
+
+    appState.isConnected = cm.isConnected;
+    appState.lastReading = cm.lastReading;
+    appState.reconnect = null;
+
+    updateConnectionUI(cm.isConnected);
+    if (cm.isConnected && cm.lastReading) {
+        updateMonitorUI(cm.lastReading);
+    }
+    updateReconnectMessage();
+
+    refreshDeviceUI();
+}
+
+function renderDeviceSwitcher() {
+    const switcher = document.getElementById('device-switcher');
+    if (!switcher) return;
+
+    const registry = window.deviceRegistry;
+    const devices = registry.list();
+
+    // Nothing to switch between with a single crib
+    switcher.classList.toggle('hidden', devices.length < 2);
+
+    const chips = [{ id: 'all', name: 'All cribs' }, ...devices];
+    switcher.innerHTML = chips.map(device => `
+        <button class="device-chip ${registry.activeId === device.id ? 'active' : ''}" data-device="${device.id}">
+            ${escapeHtml(device.name)}
+        </button>
+    `).join('');
+
+    switcher.querySelectorAll('.device-chip').forEach(chip => {
+        chip.addEventListener('click', () => registry.setActive(chip.dataset.device));
+    });
+}
+
+function renderDeviceOverview() {
+    const overview = document.getElementById('device-overview');
+    const registry = window.deviceRegistry;
+    if (!overview || registry.activeId !== 'all') return;
+
+    overview.innerHTML = registry.list().map(device => {
+        const cm = registry.getManager(device.id);
+        const reading = cm.isConnected ? cm.lastReading : null;
+        const stale = reading?.stale || [];
+        const resp = stale.includes('respiration') ? null : reading?.respiration?.value;
+        const posture = stale.includes('posture') ? null : reading?.posture?.state;
+
+        return `
+            <button class="device-tile ${cm.isConnected ? 'connected' : 'disconnected'}" data-device="${device.id}">
+                <div class="device-tile-header">
+                    <span class="device-tile-name">${escapeHtml(device.name)}</span>
+                    <span class="device-dot ${cm.isConnected ? 'active' : ''}"></span>
+                </div>
+                <div class="device-tile-resp">
+                    <span class="device-tile-value">${resp !== null && resp !== undefined ? Math.round(resp) : '--'}</span>
+                    <span class="unit">rpm</span>
+                </div>
+                <span class="device-tile-posture ${posture === 'prone' ? 'danger' : ''}">
+                    ${posture ? formatPosture(posture) : '--'}
+                </span>
+                <span class="device-tile-state">${getDeviceStateLabel(device)}</span>
+            </button>
+        `;
+    }).join('');
+
+    overview.querySelectorAll('.device-tile').forEach(tile => {
+        tile.addEventListener('click', () => registry.setActive(tile.dataset.device));
+    });
+
+    updateOverviewStatus();
+}
+
+// Header status line while the overview is open
+function updateOverviewStatus() {
+    const statusDot = document.querySelector('.status-dot');
+    const statusText = document.querySelector('.status-indicator .status-text');
+    const registry = window.deviceRegistry;
+
+    const enabled = registry.list().filter(device => device.enabled);
+    const connected = enabled.filter(device => registry.getManager(device.id).isConnected);
+    const allConnected = enabled.length > 0 && connected.length === enabled.length;
+
+    statusDot?.classList.toggle('active', allConnected);
+    if (statusText) {
+        statusText.textContent = `${connected.length} of ${enabled.length} cribs connected`;
+        statusText.style.color = allConnected ? '#4caf50' : '#ff1744';
+    }
+}
+
 /* ========================================
    WAVEFORM
    ======================================== */
@@ -288,8 +627,9 @@ function updateWaveformWithReading(reading) {
     // Shift data left
     waveformData.shift();
 
-    // Add new point based on respiration value
-    if (reading.respiration?.value !== null) {
+    // Add new point based on respiration value (flat line when the sensor is silent)
+    const respirationStale = reading.stale?.includes('respiration');
+    if (reading.respiration?.value !== null && !respirationStale) {
         const normalizedValue = (reading.respiration.value - 30) / 30; // Normalize around 30 rpm
         waveformData.push(Math.sin(Date.now() / 300) * Math.min(1, Math.max(-1, normalizedValue * 0.8)));
     } else {
@@ -379,8 +719,11 @@ function initNavigation() {
             // Refresh screen-specific content
             if (targetScreen === 'history') {
                 refreshTrendsUI();
+                renderSleepSummary();
             } else if (targetScreen === 'alerts') {
                 refreshAlertsUI();
+            } else if (targetScreen === 'settings') {
+                renderStorageSettings();
             }
         });
     });
@@ -403,111 +746,359 @@ function initTimeTabs() {
     });
 }
 
-async function refreshTrendsUI() {
-    const activeTab = document.querySelector('.time-tab.active');
-    const timeRange = activeTab?.dataset.range || '1h';
+/* ========================================
+   HISTORY CHARTS
+   ======================================== */
 
-    // Get chart data from trends manager
-    const respData = await window.trendsManager.getChartData('respiration', timeRange);
-    const co2Data = await window.trendsManager.getChartData('co2', timeRange);
+// Line colour and decimals per numeric sensor (any other numeric sensor
+// gets a grey line)
+const HISTORY_SERIES = {
+    respiration: { color: '#00b8d4', decimals: 1 },
+    bodyTemp: { color: '#ff7043', decimals: 1 },
+    movement: { color: '#7c3aed', decimals: 0 },
+    audioLevel: { color: '#ec407a', decimals: 0 },
+    envTemp: { color: '#ffa000', decimals: 1 },
+    co2: { color: '#78909c', decimals: 0 },
+    voc: { color: '#4caf50', decimals: 0 }
+};
 
-    // Update averages
-    const respAvg = document.getElementById('resp-avg');
-    const co2Avg = document.getElementById('co2-avg');
+// State sensors drawn as swimlanes, coloured per state
+const STATE_LANES = {
+    posture: {
+        colors: { supine: '#4caf50', side: '#ffc107', prone: '#ff1744', sitting: '#29b6f6', unknown: '#d1d5db' },
+        labels: { supine: 'Back', side: 'Side', prone: 'Prone', sitting: 'Sitting', unknown: 'Unknown' }
+    },
+    audio: {
+        colors: { quiet: '#c8e6c9', babbling: '#29b6f6', crying: '#ffa000', choking: '#ff1744', unknown: '#d1d5db' },
+        labels: { quiet: 'Quiet', babbling: 'Babbling', crying: 'Crying', choking: 'Choking', unknown: 'Unknown' }
+    }
+};
+
+// What each time range is compared with (TrendsManager.comparisonOffsets):
+// `name` labels the earlier period's line, `compareWith` the toggle
+const COMPARISON_PERIODS = {
+    '1h': { name: 'Yesterday', compareWith: 'the same hour yesterday' },
+    '24h': { name: 'Yesterday', compareWith: 'yesterday' },
+    '7d': { name: 'Last week', compareWith: 'last week' },
+    '1m': { name: '30 days before', compareWith: 'the 30 days before' }
+};
+
+// Sensors that can be charted on the History screen: every numeric one, then the swimlanes
+function historySensors() {
+    return [...window.sensorCatalog.keys(sensor => sensor.type === 'number'), ...Object.keys(STATE_LANES)];
+}
+
+function historyColor(key) {
+    return HISTORY_SERIES[key]?.color || '#9ca3af';
+}
 
-    if (respAvg) {
-        respAvg.textContent = respData.stats.avg !== null ? respData.stats.avg : '--';
+// Picked charts, overlay and comparison, saved in settings as 'historyCharts'
+async function initHistoryCharts() {
+    appState.historyCharts = { charts: ['respiration', 'co2'], overlay: [], compare: false };
+
+    if (window.storageManager.db) {
+        const saved = await window.storageManager.getSetting('historyCharts');
+        if (saved) {
+            const known = historySensors();
+            appState.historyCharts = {
+                charts: (saved.charts || []).filter(key => known.includes(key)),
+                overlay: (saved.overlay || []).filter(key => known.includes(key)),
+                compare: !!saved.compare
+            };
+        }
     }
-    if (co2Avg) {
-        co2Avg.textContent = co2Data.stats.avg !== null ? co2Data.stats.avg : '--';
+
+    const compareToggle = document.getElementById('history-compare');
+    if (compareToggle) {
+        compareToggle.checked = appState.historyCharts.compare;
+        compareToggle.addEventListener('change', async () => {
+            appState.historyCharts.compare = compareToggle.checked;
+            refreshTrendsUI();
+
+            if (window.storageManager.db) {
+                await window.storageManager.saveSetting('historyCharts', appState.historyCharts);
+            }
+        });
     }
 
-    // Draw charts
-    drawTrendChart('chart-respiration', respData, '#00b8d4');
-    drawTrendChart('chart-co2', co2Data, '#78909c');
+    renderHistoryPicker();
+    renderHistoryCards();
 }
 
-function drawTrendChart(canvasId, data, color) {
-    const canvas = document.getElementById(canvasId);
-    if (!canvas) return;
+function renderHistoryPicker() {
+    const selection = appState.historyCharts;
+
+    [['history-chart-chips', 'charts'], ['history-overlay-chips', 'overlay']].forEach(([id, list]) => {
+        const container = document.getElementById(id);
+        if (!container) return;
+
+        container.innerHTML = historySensors().map(key => `
+            <button class="chart-chip ${selection[list].includes(key) ? 'active' : ''}" data-sensor="${key}"
+                style="--chip-color: ${STATE_LANES[key] ? 'var(--accent-teal)' : historyColor(key)}">
+                ${escapeHtml(window.sensorCatalog.get(key).label)}
+            </button>
+        `).join('');
+
+        container.querySelectorAll('.chart-chip').forEach(chip => {
+            chip.addEventListener('click', async () => {
+                const key = chip.dataset.sensor;
+                const keys = selection[list];
+                selection[list] = keys.includes(key)
+                    ? keys.filter(k => k !== key)
+                    : historySensors().filter(k => k === key || keys.includes(k));
+
+                chip.classList.toggle('active', selection[list].includes(key));
+                renderHistoryCards();
+
+                if (window.storageManager.db) {
+                    await window.storageManager.saveSetting('historyCharts', selection);
+                }
+            });
+        });
+    });
+}
 
-    const ctx = canvas.getContext('2d');
-    const width = canvas.parentElement.clientWidth - 32;
-    const height = 120;
+// One card per picked sensor, plus the overlay card
+function renderHistoryCards() {
+    const container = document.getElementById('history-charts');
+    if (!container) return;
 
-    canvas.width = width * 2;
-    canvas.height = height * 2;
-    canvas.style.width = width + 'px';
-    canvas.style.height = height + 'px';
-    ctx.scale(2, 2);
+    const { charts, overlay } = appState.historyCharts;
+    const catalog = window.sensorCatalog;
 
-    ctx.clearRect(0, 0, width, height);
+    const legend = (keys) => keys.flatMap(key => STATE_LANES[key]
+        ? Object.entries(STATE_LANES[key].labels).map(([state, label]) => [STATE_LANES[key].colors[state], label])
+        : [[historyColor(key), catalog.get(key).label]]
+    ).map(([color, label]) => `
+        <span class="chart-legend-item"><span class="chart-swatch" style="background: ${color}"></span>${escapeHtml(label)}</span>
+    `).join('');
 
-    // If no data, show message
-    if (data.isEmpty || data.values.length === 0) {
-        ctx.fillStyle = '#9ca3af';
-        ctx.font = '12px Inter, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('No data available', width / 2, height / 2);
-        return;
+    const cards = charts.map(key => {
+        const sensor = catalog.get(key);
+        const lane = !!STATE_LANES[key];
+
+        return `
+            <div class="card card-chart">
+                <div class="chart-header">
+                    <div class="chart-title-group">
+                        ${lane ? '' : `<span class="chart-swatch" style="background: ${historyColor(key)}"></span>`}
+                        <span class="chart-label">${escapeHtml(sensor.label)}</span>
+                    </div>
+                    <span class="chart-avg">${lane ? 'Mostly' : 'Avg'}: <span id="chart-summary-${key}">--</span>${lane || !sensor.unit ? '' : ` ${sensor.unit}`}</span>
+                    <button class="chart-reset hidden">Reset zoom</button>
+                </div>
+                <canvas id="chart-${key}" class="chart-canvas"></canvas>
+                ${lane ? `<div class="chart-legend">${legend([key])}</div>` : `<div class="chart-stats" id="chart-stats-${key}"></div>`}
+            </div>
+        `;
+    });
+
+    if (overlay.length > 0) {
+        cards.unshift(`
+            <div class="card card-chart">
+                <div class="chart-header">
+                    <div class="chart-title-group">
+                        <span class="chart-label">Overlay</span>
+                    </div>
+                    <button class="chart-reset hidden">Reset zoom</button>
+                </div>
+                <canvas id="chart-overlay" class="chart-canvas"></canvas>
+                <div class="chart-legend">${legend(overlay)}</div>
+            </div>
+        `);
     }
 
-    // Draw grid lines
-    ctx.strokeStyle = '#e5e7eb';
-    ctx.setLineDash([2, 4]);
-    ctx.lineWidth = 1;
+    // New canvases need new charts
+    Object.keys(trendCharts).forEach(id => delete trendCharts[id]);
+    container.innerHTML = cards.join('');
 
-    for (let i = 0; i < 4; i++) {
-        const y = (height / 4) * i + 10;
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(width, y);
-        ctx.stroke();
-    }
+    if (appState.currentScreen === 'history') refreshTrendsUI();
+}
 
-    ctx.setLineDash([]);
+async function refreshTrendsUI() {
+    if (!appState.historyCharts) return;
 
-    // Downsample for display
-    const displayData = window.trendsManager.downsample(data, 100);
-    const values = displayData.values;
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const range = max - min || 1;
+    const activeTab = document.querySelector('.time-tab.active');
+    const timeRange = activeTab?.dataset.range || '1h';
 
-    // Draw filled area
-    ctx.beginPath();
-    ctx.moveTo(0, height);
+    // Get chart data from trends manager for the selected crib
+    const deviceId = window.deviceRegistry.getSelectedId();
+    const { charts, overlay, compare } = appState.historyCharts;
+    const period = COMPARISON_PERIODS[timeRange];
 
-    values.forEach((value, i) => {
-        const x = (width / (values.length - 1)) * i;
-        const y = height - ((value - min) / range) * (height - 30) - 15;
-        ctx.lineTo(x, y);
-    });
+    const compareLabel = document.getElementById('history-compare-label');
+    if (compareLabel) compareLabel.textContent = `With ${period.compareWith}`;
+    await renderPeriodComparison(compare ? timeRange : null, deviceId);
 
-    ctx.lineTo(width, height);
-    ctx.closePath();
+    for (const key of charts) {
+        const summary = document.getElementById(`chart-summary-${key}`);
 
-    const gradient = ctx.createLinearGradient(0, 0, 0, height);
-    gradient.addColorStop(0, color + '33');
-    gradient.addColorStop(1, color + '08');
-    ctx.fillStyle = gradient;
-    ctx.fill();
+        if (STATE_LANES[key]) {
+            const data = await window.trendsManager.getStateData(key, timeRange, deviceId);
+            const [mostly] = Object.entries(data.counts).sort((a, b) => b[1] - a[1]);
+            if (summary) summary.textContent = mostly ? (STATE_LANES[key].labels[mostly[0]] || mostly[0]) : '--';
 
-    // Draw line
-    ctx.beginPath();
-    values.forEach((value, i) => {
-        const x = (width / (values.length - 1)) * i;
-        const y = height - ((value - min) / range) * (height - 30) - 15;
-        if (i === 0) {
-            ctx.moveTo(x, y);
+            await drawTrendChart(`chart-${key}`, [], [historyLane(key, data)], data);
         } else {
-            ctx.lineTo(x, y);
+            const data = await window.trendsManager.getChartData(key, timeRange, deviceId);
+            if (summary) summary.textContent = data.stats.avg !== null ? data.stats.avg : '--';
+            renderChartStats(document.getElementById(`chart-stats-${key}`), data.stats);
+
+            // The earlier period as a dashed line on the same scale
+            const series = [{ ...historySeries(key, data), axis: key }];
+            if (compare) {
+                const previous = await window.trendsManager.getPreviousChartData(key, timeRange, deviceId);
+                series.push({ ...historySeries(key, previous), axis: key, label: period.name, dashed: true });
+            }
+
+            await drawTrendChart(`chart-${key}`, series, [], data);
         }
-    });
+    }
 
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 2;
-    ctx.stroke();
+    // Every overlaid sensor on one time axis
+    if (overlay.length > 0) {
+        const series = [];
+        const lanes = [];
+        // They all cover the same time range, so any of them gives the window
+        let range = null;
+
+        for (const key of overlay) {
+            if (STATE_LANES[key]) {
+                const data = await window.trendsManager.getStateData(key, timeRange, deviceId);
+                lanes.push(historyLane(key, data));
+                range = data;
+            } else {
+                const data = await window.trendsManager.getChartData(key, timeRange, deviceId);
+                series.push(historySeries(key, data));
+                range = data;
+            }
+        }
+
+        await drawTrendChart('chart-overlay', series, lanes, range);
+    }
+}
+
+// Median, spread and time in range under a chart
+function renderChartStats(element, stats) {
+    if (!element) return;
+    if (stats.count === 0) {
+        element.textContent = '';
+        return;
+    }
+
+    const parts = [
+        `Median ${stats.median}`,
+        `5–95%: ${stats.p5}–${stats.p95}`,
+        `SD ${stats.stdDev}`
+    ];
+    if (stats.timeInRange !== null) {
+        const crossings = stats.crossings.above + stats.crossings.below;
+        parts.push(`In range ${stats.timeInRange}%`);
+        parts.push(`Out of range ${crossings}×`);
+    }
+    element.textContent = parts.join(' · ');
+}
+
+// Average respiration, time above the CO2 limit and wake-ups against the
+// period before. `timeRange` null hides the card.
+async function renderPeriodComparison(timeRange, deviceId) {
+    const card = document.getElementById('history-comparison');
+    if (!card) return;
+
+    card.classList.toggle('hidden', !timeRange);
+    if (!timeRange) return;
+
+    const comparison = await window.trendsManager.getPeriodComparison(timeRange, deviceId);
+
+    // `higherIsWorse` colours the change; null leaves it neutral
+    const item = (label, { current, previous, delta }, format, higherIsWorse, formatDelta = format) => {
+        let change = 'No data to compare';
+        let tone = '';
+        if (delta !== null) {
+            change = `${delta > 0 ? '+' : ''}${formatDelta(delta)} vs ${format(previous)}`;
+            if (higherIsWorse !== null && delta !== 0) tone = (delta > 0) === higherIsWorse ? 'worse' : 'better';
+        }
+
+        return `
+            <div class="comparison-item">
+                <span class="comparison-label">${label}</span>
+                <span class="comparison-value">${current !== null ? format(current) : '--'}</span>
+                <span class="comparison-delta ${tone}">${change}</span>
+            </div>
+        `;
+    };
+
+    card.innerHTML = `
+        <div class="chart-header">
+            <span class="chart-label">Compared with ${COMPARISON_PERIODS[timeRange].compareWith}</span>
+        </div>
+        <div class="comparison-grid">
+            ${item('Avg respiration', comparison.respiration, value => `${Math.round(value * 10) / 10} rpm`, null)}
+            ${item('Above CO₂ limit', comparison.co2Above, value => `${Math.round(value * 10) / 10}%`, true,
+                value => `${Math.round(value * 10) / 10} pts`)}
+            ${item('Wake-ups', comparison.wakeUps, value => String(value), true)}
+        </div>
+    `;
+}
+
+function historySeries(key, data) {
+    const sensor = window.sensorCatalog.get(key);
+    return {
+        sensor: key,
+        label: sensor.label,
+        points: data.points,
+        color: historyColor(key),
+        unit: sensor.unit || '',
+        decimals: HISTORY_SERIES[key]?.decimals ?? 1
+    };
+}
+
+function historyLane(key, data) {
+    return {
+        sensor: key,
+        label: window.sensorCatalog.get(key).label,
+        segments: data.segments,
+        ...STATE_LANES[key]
+    };
+}
+
+// Trend charts by canvas id, created on first draw
+const trendCharts = {};
+
+// Draw series and swimlanes over the window of `range` (the data's timeRange,
+// start, end and deviceId), with the sensors' alerts marked and, when it
+// charts a single sensor, its alert thresholds shaded
+async function drawTrendChart(canvasId, series, lanes, range) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    let chart = trendCharts[canvasId];
+    if (!chart) {
+        chart = trendCharts[canvasId] = new TrendChart(canvas);
+
+        // "Reset zoom" in the chart's header while zoomed in
+        const resetBtn = canvas.parentElement.querySelector('.chart-reset');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => chart.resetZoom());
+            chart.on('zoom', ({ zoomed }) => resetBtn.classList.toggle('hidden', !zoomed));
+        }
+    }
+
+    const sensors = [...new Set([...series, ...lanes].map(item => item.sensor))];
+    const alerts = [];
+    for (const sensor of sensors) {
+        alerts.push(...await window.trendsManager.getChartAlerts(sensor, range.start, range.end, range.deviceId));
+    }
+    alerts.sort((a, b) => a.timestamp - b.timestamp);
+
+    chart.setSeries(series, {
+        timeRange: range.timeRange,
+        start: range.start,
+        end: range.end,
+        lanes,
+        thresholds: series.length > 0 && sensors.length === 1 ? window.alertsManager.thresholds[sensors[0]] || null : null,
+        alerts
+    });
 }
 
 /* ========================================
@@ -517,7 +1108,7 @@ function drawTrendChart(canvasId, data, color) {
 async function refreshAlertsUI() {
     if (!window.storageManager || !window.storageManager.db) return;
 
-    const alerts = await window.storageManager.getAlerts(false);
+    const alerts = await window.storageManager.getAlerts();
     const alertsList = document.getElementById('alerts-list');
 
     if (!alertsList) return;
@@ -536,16 +1127,36 @@ async function refreshAlertsUI() {
         return;
     }
 
+    // Name the crib on each alert once there is more than one
+    const showDevice = window.deviceRegistry.list().length > 1;
+
     alertsList.innerHTML = alerts.map(alert => `
-        <div class="alert-card ${alert.severity.toLowerCase()}">
+        <div class="alert-card ${alert.severity.toLowerCase()} ${alert.status === 'active' ? 'ongoing' : ''}">
             <div class="alert-content">
                 <span class="alert-badge ${alert.severity.toLowerCase()}">${alert.severity}</span>
                 <span class="alert-time">${formatAlertTime(alert.timestamp)}</span>
+                ${showDevice ? `<span class="alert-device">${escapeHtml(window.deviceRegistry.getDeviceName(alert.deviceId))}</span>` : ''}
                 <h4 class="alert-title">${alert.title}</h4>
                 <p class="alert-desc">${alert.description}</p>
+                <div class="alert-status">
+                    <span>${formatAlertStatus(alert)}</span>
+                    ${alert.status === 'active' && !alert.acknowledged
+                        ? `<button class="btn btn-small alert-ack" data-alert-id="${alert.id}">Acknowledge</button>`
+                        : ''}
+                </div>
             </div>
         </div>
     `).join('');
+
+    alertsList.querySelectorAll('.alert-ack').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await window.alertsManager.acknowledgeAlert(
+                Number(btn.dataset.alertId),
+                window.alarmManager.caregiver || null
+            );
+            refreshAlertsUI();
+        });
+    });
 }
 
 function formatAlertTime(timestamp) {
@@ -553,6 +1164,47 @@ function formatAlertTime(timestamp) {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true });
 }
 
+// "2m 14s", "1h 5m", "40s"
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+}
+
+function formatAlertStatus(alert) {
+    // Alerts saved before alerts had a lifecycle
+    if (!alert.status) {
+        return alert.acknowledged ? 'Acknowledged' : '';
+    }
+
+    const acknowledged = alert.acknowledged
+        ? ` · acknowledged${alert.acknowledgedBy ? ` by ${escapeHtml(alert.acknowledgedBy)}` : ''}` +
+          (alert.responseLatency !== undefined ? ` in ${formatDuration(alert.responseLatency)}` : '')
+        : '';
+
+    if (alert.status === 'active') {
+        return `Ongoing for ${formatDuration(Date.now() - alert.startedAt)}${acknowledged}`;
+    }
+
+    // Found in readings imported from the Pi after the fact
+    if (alert.imported) {
+        return alert.interrupted
+            ? `Missed while the app was closed · still ongoing at the end of the Pi's log (${formatDuration(alert.duration)})`
+            : `Missed while the app was closed · resolved after ${formatDuration(alert.duration)}`;
+    }
+
+    if (alert.interrupted) {
+        return `Still ongoing when monitoring stopped (${formatDuration(alert.duration)})${acknowledged}`;
+    }
+
+    return `Resolved after ${formatDuration(alert.duration)}${acknowledged}`;
+}
+
 function updateAlertBadge() {
     // This would update the badge count on the nav item
     const alertsNav = document.querySelector('.nav-item[data-screen="alerts"]');
@@ -586,33 +1238,67 @@ function initClearAlerts() {
    ======================================== */
 
 function initSettingsUI() {
-    // WiFi Configuration
-    const wifiBtn = document.getElementById('wifi-config-btn');
+    // Crib connections
+    const addDeviceBtn = document.getElementById('add-device-btn');
     const wifiModal = document.getElementById('wifi-modal');
     const wifiSaveBtn = document.getElementById('wifi-save-btn');
     const wifiCancelBtn = document.getElementById('wifi-cancel-btn');
-    const wifiAddressInput = document.getElementById('wifi-address');
-    const wifiPortInput = document.getElementById('wifi-port');
-
-    if (wifiBtn && wifiModal) {
-        wifiBtn.addEventListener('click', () => {
-            wifiModal.classList.remove('hidden');
-            if (wifiAddressInput) wifiAddressInput.value = window.connectionManager.piAddress;
-            if (wifiPortInput) wifiPortInput.value = window.connectionManager.piPort;
-        });
+    const wifiRemoveBtn = document.getElementById('wifi-remove-btn');
+
+    if (wifiModal) {
+        addDeviceBtn?.addEventListener('click', () => openDeviceModal(null));
 
         wifiCancelBtn?.addEventListener('click', () => {
             wifiModal.classList.add('hidden');
         });
 
         wifiSaveBtn?.addEventListener('click', () => {
-            const address = wifiAddressInput?.value || '192.168.4.1';
-            const port = wifiPortInput?.value || '80';
-            window.connectionManager.configure(address, port, 2000);
+            const config = {
+                name: document.getElementById('wifi-name')?.value.trim(),
+                address: document.getElementById('wifi-address')?.value || '192.168.4.1',
+                port: document.getElementById('wifi-port')?.value || '80',
+                pollInterval: parseInt(document.getElementById('wifi-interval')?.value) || 2000,
+                transportMode: document.getElementById('wifi-transport')?.value || 'auto',
+                enabled: document.getElementById('wifi-enabled')?.checked ?? true
+            };
+
+            const deviceId = wifiModal.dataset.deviceId;
+            if (deviceId) {
+                if (!config.name) delete config.name;
+                window.deviceRegistry.updateDevice(deviceId, config);
+            } else {
+                window.deviceRegistry.addDevice(config);
+            }
             wifiModal.classList.add('hidden');
         });
+
+        wifiRemoveBtn?.addEventListener('click', () => {
+            const deviceId = wifiModal.dataset.deviceId;
+            const name = window.deviceRegistry.getDeviceName(deviceId);
+            if (deviceId && confirm(`Remove ${name}? Its stored history is kept.`)) {
+                window.deviceRegistry.removeDevice(deviceId);
+                wifiModal.classList.add('hidden');
+            }
+        });
     }
 
+    renderDeviceList();
+    renderDataQuality();
+
+    // Infant profile
+    const profileSaveBtn = document.getElementById('profile-save-btn');
+    renderProfile();
+
+    profileSaveBtn?.addEventListener('click', async () => {
+        await window.profileManager.saveProfile({
+            name: document.getElementById('profile-name').value,
+            dateOfBirth: document.getElementById('profile-dob').value,
+            weight: document.getElementById('profile-weight').value
+        });
+        renderProfile();
+    });
+    window.profileManager.on('bandChanged', renderProfile);
+
     // Gemini API Key
     const geminiInput = document.getElementById('gemini-api-key');
     const geminiSaveBtn = document.getElementById('gemini-save-btn');
@@ -653,27 +1339,537 @@ function initSettingsUI() {
     }
 }
 
-function initSliders() {
+function renderProfile() {
+    const profileManager = window.profileManager;
+    const profile = profileManager.profile;
+
+    document.getElementById('profile-name').value = profile.name || '';
+    document.getElementById('profile-dob').value = profile.dateOfBirth || '';
+    document.getElementById('profile-weight').value = profile.weight ?? '';
+
+    const band = profileManager.getBand();
+    document.getElementById('profile-band').textContent = band
+        ? `${profileManager.formatAge()} old - using ${band.label} thresholds`
+        : 'Set a date of birth to use age-based thresholds';
+}
+
+// Connection rows in Settings, one per crib
+function renderDeviceList() {
+    const list = document.getElementById('device-list');
+    if (!list) return;
+
+    list.innerHTML = window.deviceRegistry.list().map(device => `
+        <div class="setting-item">
+            <div class="setting-info">
+                <span class="setting-label">${escapeHtml(device.name)}</span>
+                <span class="setting-value">
+                    ${escapeHtml(device.address)}:${escapeHtml(device.port)} · ${getDeviceStateLabel(device)}
+                </span>
+            </div>
+            <button class="btn btn-small" data-device="${device.id}">Configure</button>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('button[data-device]').forEach(button => {
+        button.addEventListener('click', () => openDeviceModal(button.dataset.device));
+    });
+}
+
+// Invalid-data counters per crib, so firmware bugs don't go unnoticed
+function renderDataQuality() {
+    const list = document.getElementById('data-quality-list');
+    if (!list) return;
+
+    list.innerHTML = window.deviceRegistry.getManagers().map(cm => {
+        const last = cm.lastInvalid;
+        const detail = last
+            ? `Last: ${last.errors.map(e => `${e.field} ${e.reason}`).join(', ')} at ${formatAlertTime(last.timestamp)}`
+            : 'No invalid data this session';
+
+        return `
+            <div class="setting-item">
+                <div class="setting-info">
+                    <span class="setting-label">${escapeHtml(cm.deviceName)}</span>
+                    <span class="setting-value">${escapeHtml(detail)}</span>
+                </div>
+                <span class="invalid-count ${cm.invalidCount > 0 ? 'has-invalid' : ''}">${cm.invalidCount}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// Open the connection modal for a crib, or for a new one when deviceId is null
+function openDeviceModal(deviceId) {
+    const modal = document.getElementById('wifi-modal');
+    if (!modal) return;
+
+    const registry = window.deviceRegistry;
+    const device = deviceId ? registry.getDevice(deviceId) : null;
+
+    modal.dataset.deviceId = deviceId || '';
+    modal.querySelector('h3').textContent = device ? 'Crib Connection' : 'Add Crib';
+
+    document.getElementById('wifi-name').value = device?.name || `Crib ${registry.list().length + 1}`;
+    document.getElementById('wifi-address').value = device?.address || '192.168.4.1';
+    document.getElementById('wifi-port').value = device?.port || '80';
+    document.getElementById('wifi-interval').value = String(device?.pollInterval || 2000);
+    document.getElementById('wifi-transport').value = device?.transportMode || 'auto';
+    document.getElementById('wifi-enabled').checked = device ? device.enabled : true;
+
+    // The last crib can't be removed
+    document.getElementById('wifi-remove-btn')
+        .classList.toggle('hidden', !device || registry.list().length < 2);
+
+    modal.classList.remove('hidden');
+}
+
+const CHANNEL_LABELS = {
+    sound: 'Sound',
+    vibrate: 'Vibrate',
+    notification: 'Notify'
+};
+
+// Settings → Alert Rules, grouped by sensor
+function initRulesEditor() {
+    const editor = document.getElementById('rules-editor');
+    if (!editor) return;
+
+    const am = window.alertsManager;
+    renderRulesEditor();
+
+    // Age presets and overrides both move thresholds
+    am.on('thresholdsChanged', renderRulesEditor);
+
+    editor.addEventListener('click', (e) => {
+        const reset = e.target.closest('.threshold-reset');
+        if (reset) {
+            am.resetThreshold(reset.dataset.sensor, reset.dataset.limit);
+        }
+    });
+
+    // Slider labels follow the thumb; the threshold is saved on release
+    editor.addEventListener('input', (e) => {
+        const slider = e.target.closest('.slider');
+        if (slider) {
+            const unit = window.sensorCatalog.get(slider.dataset.sensor).unit || '';
+            slider.closest('.threshold-limit').querySelector('.threshold-value')
+                .textContent = `${slider.value} ${unit}`.trim();
+        }
+    });
+
+    editor.addEventListener('change', async (e) => {
+        const slider = e.target.closest('.slider');
+        if (slider) {
+            const value = parseFloat(slider.value);
+            const ok = slider.dataset.limit === 'min'
+                ? await am.setThreshold(slider.dataset.sensor, value, undefined)
+                : await am.setThreshold(slider.dataset.sensor, undefined, value);
+
+            // min must stay below max - put the slider back if not
+            // (a successful change re-renders through thresholdsChanged)
+            if (!ok) renderRulesEditor();
+            return;
+        }
+
+        const row = e.target.closest('.rule-row');
+        if (!row) return;
+
+        const key = row.dataset.rule;
+        if (e.target.dataset.field === 'enabled') {
+            await am.updateRule(key, { enabled: e.target.checked });
+            row.classList.toggle('disabled', !e.target.checked);
+        } else if (e.target.dataset.field === 'severity') {
+            await am.updateRule(key, { severity: e.target.value });
+        } else if (e.target.dataset.channel) {
+            const channels = [...row.querySelectorAll('[data-channel]:checked')]
+                .map(input => input.dataset.channel);
+            await am.updateRule(key, { channels });
+        }
+    });
+}
+
+function renderRulesEditor() {
+    const editor = document.getElementById('rules-editor');
+    if (!editor) return;
+
     const am = window.alertsManager;
+    const catalog = window.sensorCatalog;
+    const rules = am.getRules();
+
+    // Sensors in catalog order, each with its thresholds and rules
+    editor.innerHTML = catalog.keys()
+        .filter(sensor => rules.some(rule => rule.sensor === sensor))
+        .map(sensor => {
+            const info = catalog.get(sensor);
+            const thresholds = am.thresholds[sensor] || {};
+            const limits = am.thresholdLimits[sensor];
+
+            const sliders = limits ? ['min', 'max']
+                .filter(limit => limit in thresholds)
+                .map(limit => `
+                    <div class="threshold-limit">
+                        <div class="threshold-header">
+                            <span class="threshold-sublabel">
+                                ${limit === 'min' ? 'Alert below' : 'Alert above'}
+                                ${am.isOverridden(sensor, limit) ? `
+                                    <span class="override-badge">Custom</span>
+                                    <button class="threshold-reset" data-sensor="${sensor}" data-limit="${limit}">
+                                        Reset to ${am.getPresetThreshold(sensor, limit)}
+                                    </button>
+                                ` : ''}
+                            </span>
+                            <span class="threshold-value">${thresholds[limit]} ${info.unit || ''}</span>
+                        </div>
+                        <div class="threshold-slider">
+                            <input type="range" class="slider" data-sensor="${sensor}" data-limit="${limit}"
+                                min="${limits.from}" max="${limits.to}" step="${limits.step}" value="${thresholds[limit]}">
+                        </div>
+                    </div>
+                `).join('') : '';
+
+            const rows = rules.filter(rule => rule.sensor === sensor).map(rule => `
+                <div class="rule-row ${rule.enabled ? '' : 'disabled'}" data-rule="${rule.key}">
+                    <label class="form-check rule-title">
+                        <input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}>
+                        ${escapeHtml(rule.title)}
+                    </label>
+                    <select data-field="severity" class="rule-severity">
+                        ${am.severities.map(severity => `
+                            <option value="${severity}" ${severity === rule.severity ? 'selected' : ''}>${severity}</option>
+                        `).join('')}
+                    </select>
+                    <div class="rule-channels">
+                        ${am.channels.map(channel => `
+                            <label class="form-check">
+                                <input type="checkbox" data-channel="${channel}" ${rule.channels.includes(channel) ? 'checked' : ''}>
+                                ${CHANNEL_LABELS[channel]}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('');
+
+            return `
+                <div class="threshold-item">
+                    <div class="threshold-header">
+                        <span class="threshold-label">${escapeHtml(info.label)}</span>
+                    </div>
+                    ${sliders}
+                    ${rows}
+                </div>
+            `;
+        }).join('');
+}
+
+/* ========================================
+   DATA STORAGE
+   ======================================== */
+
+const RETENTION_LABELS = {
+    readings: 'Raw readings',
+    rollups_minute: 'Minute averages',
+    rollups_hour: 'Hourly averages',
+    alerts: 'Alerts',
+    sessions: 'Sleep sessions'
+};
+
+// "48 hours", "90 days", "2 years", "Forever"
+function formatRetention(ms) {
+    if (ms === null) return 'Forever';
+
+    const hours = ms / (60 * 60 * 1000);
+    if (hours < 24 * 7) return `${hours} hours`;
+
+    const days = hours / 24;
+    if (days < 365) return `${days} days`;
+
+    const years = days / 365;
+    return `${years} year${years === 1 ? '' : 's'}`;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+// Settings → Data Storage: usage and how long each kind of data is kept
+function initStorageSettings() {
+    const panel = document.getElementById('storage-settings');
+    if (!panel) return;
 
-    // CO2 slider
-    const co2Slider = document.getElementById('co2-max');
-    const co2Value = document.getElementById('co2-threshold-val');
+    const sm = window.storageManager;
+    renderStorageSettings();
 
-    if (co2Slider && co2Value) {
-        co2Slider.value = am.thresholds.co2.max;
-        co2Value.textContent = am.thresholds.co2.max + ' ppm';
+    // Show when saving readings falls behind, and when it has caught up
+    sm.on('backpressure', renderStorageSettings);
 
-        co2Slider.addEventListener('input', () => {
-            co2Value.textContent = co2Slider.value + ' ppm';
+    panel.addEventListener('change', async (e) => {
+        const select = e.target.closest('select[data-store]');
+        if (!select) return;
+
+        const keep = select.value === 'forever' ? null : Number(select.value);
+        await sm.setRetention({ [select.dataset.store]: keep });
+    });
+
+    panel.addEventListener('click', async (e) => {
+        const button = e.target.closest('#retention-run-btn');
+        if (!button) return;
+
+        button.disabled = true;
+        button.textContent = 'Cleaning up...';
+        await sm.runRetention();
+        await renderStorageSettings();
+    });
+}
+
+async function renderStorageSettings() {
+    const panel = document.getElementById('storage-settings');
+    const sm = window.storageManager;
+    if (!panel || !sm.db) return;
+
+    const { usage, quota, counts, lastRetention } = await sm.getUsage();
+
+    const percent = quota ? Math.min(100, (usage / quota) * 100) : 0;
+    const usageText = usage !== null
+        ? `${formatBytes(usage)} of ${formatBytes(quota)} (${percent < 1 ? '<1' : Math.round(percent)}%)`
+        : 'Not reported by this browser';
+
+    let cleanupText = 'Not run yet';
+    if (lastRetention) {
+        const removed = Object.values(lastRetention.deleted).reduce((sum, count) => sum + count, 0);
+        cleanupText = `Last cleanup ${formatAlertTime(lastRetention.at)} · ${removed} removed`;
+        if (lastRetention.overQuota) cleanupText += ' · storage nearly full, older raw data trimmed';
+    }
+
+    const rows = Object.keys(RETENTION_LABELS).map(store => `
+        <div class="setting-item">
+            <div class="setting-info">
+                <span class="setting-label">${RETENTION_LABELS[store]}</span>
+                <span class="setting-value">${counts[store].toLocaleString()} stored</span>
+            </div>
+            <select class="retention-select" data-store="${store}">
+                ${sm.retentionOptions[store].map(keep => `
+                    <option value="${keep === null ? 'forever' : keep}" ${keep === sm.retention[store] ? 'selected' : ''}>
+                        ${keep === null ? 'Keep forever' : `Keep ${formatRetention(keep)}`}
+                    </option>
+                `).join('')}
+            </select>
+        </div>
+    `).join('');
+
+    const backlog = sm.backpressure
+        ? `<div class="setting-item">
+            <span class="setting-value">Saving is falling behind: ${(sm.writeQueue.length + sm.writing).toLocaleString()} readings waiting to be stored</span>
+        </div>`
+        : '';
+
+    panel.innerHTML = `
+        ${backlog}
+        <div class="setting-item column">
+            <div class="setting-info">
+                <span class="setting-label">Storage used</span>
+                <span class="setting-value">${usageText}</span>
+            </div>
+            <div class="usage-bar ${percent > sm.quotaLimit * 100 ? 'full' : ''}">
+                <div class="usage-fill" style="width: ${percent}%"></div>
+            </div>
+        </div>
+        ${rows}
+        <div class="setting-item">
+            <span class="setting-value">${escapeHtml(cleanupText)}</span>
+            <button id="retention-run-btn" class="btn btn-small">Clean Up Now</button>
+        </div>
+    `;
+}
+
+/* ========================================
+   SLEEP UI
+   ======================================== */
+
+function initSleepUI() {
+    const sessions = window.sessionManager;
+
+    document.getElementById('sleep-toggle-btn')?.addEventListener('click', async () => {
+        const deviceId = window.deviceRegistry.getSelectedId();
+        if (sessions.getActiveSession(deviceId)) {
+            await sessions.endSession(deviceId);
+        } else {
+            sessions.startSession(deviceId);
+        }
+        renderSleepBar();
+    });
+
+    ['started', 'updated', 'ended'].forEach(event => {
+        sessions.on(event, (session) => {
+            if (!isSelectedDevice(session.deviceId)) return;
+            renderSleepBar();
+            if (appState.currentScreen === 'history') renderSleepSummary();
         });
+    });
+
+    window.deviceRegistry.on('activeChanged', renderSleepBar);
+    renderSleepBar();
+}
+
+function renderSleepBar() {
+    const bar = document.getElementById('sleep-bar');
+    if (!bar) return;
 
-        co2Slider.addEventListener('change', () => {
-            am.setThreshold('co2', undefined, parseInt(co2Slider.value));
+    const session = window.sessionManager.getActiveSession(window.deviceRegistry.getSelectedId());
+    bar.classList.toggle('asleep', !!session);
+
+    let status = 'Awake';
+    if (session) {
+        const wakes = session.wakes.length;
+        status = session.currentWake
+            ? `Stirring - asleep since ${formatAlertTime(session.startedAt)}`
+            : `Asleep since ${formatAlertTime(session.startedAt)}`;
+        if (wakes > 0) status += ` · ${wakes} wake-up${wakes === 1 ? '' : 's'}`;
+    }
+
+    document.getElementById('sleep-status').textContent = status;
+    document.getElementById('sleep-toggle-btn').textContent = session ? 'End Sleep' : 'Start Sleep';
+}
+
+// "How was last night?" for the selected crib
+async function renderSleepSummary() {
+    const card = document.getElementById('sleep-summary');
+    if (!card) return;
+
+    const session = await window.sessionManager.getLastSession(window.deviceRegistry.getSelectedId());
+    if (!session || !session.summary) {
+        card.innerHTML = '';
+        return;
+    }
+
+    const summary = session.summary;
+    const inProgress = session.status === 'active';
+
+    const postureTotal = Object.values(summary.posture).reduce((a, b) => a + b, 0);
+    const posture = postureTotal > 0
+        ? Object.entries(summary.posture)
+            .sort((a, b) => b[1] - a[1])
+            .map(([state, ms]) => `${formatPosture(state)} ${Math.round(ms / postureTotal * 100)}%`)
+            .join(', ')
+        : 'No posture data';
+
+    const averages = summary.averages;
+    const room = [
+        averages.envTemp !== null ? `${averages.envTemp}°C` : null,
+        averages.co2 !== null ? `${Math.round(averages.co2)} ppm CO₂` : null,
+        averages.voc !== null ? `VOC ${averages.voc}` : null
+    ].filter(Boolean).join(', ') || 'No room data';
+
+    const alerts = summary.alerts.total > 0
+        ? `${summary.alerts.total} (${summary.alerts.titles.map(escapeHtml).join(', ')})`
+        : 'None';
+
+    card.innerHTML = `
+        <div class="chart-header">
+            <span class="chart-label">${inProgress ? 'Sleeping Now' : 'Last Sleep'}</span>
+            <span class="chart-avg">${formatAlertTime(session.startedAt)} – ${inProgress ? 'now' : formatAlertTime(session.endedAt)}</span>
+        </div>
+        <div class="sleep-summary-grid">
+            <div class="sleep-stat">
+                <span class="sleep-stat-value">${formatDuration(summary.totalSleep)}</span>
+                <span class="sleep-stat-label">Asleep</span>
+            </div>
+            <div class="sleep-stat">
+                <span class="sleep-stat-value">${summary.wakeUps}</span>
+                <span class="sleep-stat-label">Wake-ups</span>
+            </div>
+            <div class="sleep-stat">
+                <span class="sleep-stat-value">${averages.respiration ?? '--'}</span>
+                <span class="sleep-stat-label">Avg rpm</span>
+            </div>
+        </div>
+        <div class="sleep-detail">
+            <div>Posture: ${posture}</div>
+            <div>Room: ${room}</div>
+            <div>Alerts: ${alerts}</div>
+        </div>
+    `;
+}
+
+/* ========================================
+   ALARM UI
+   ======================================== */
+
+function initAlarmUI() {
+    const alarm = window.alarmManager;
+    const nameInput = document.getElementById('alarm-caregiver');
+    const ackBtn = document.getElementById('alarm-ack-btn');
+
+    alarm.on('changed', renderAlarm);
+
+    if (ackBtn) {
+        ackBtn.addEventListener('click', async () => {
+            const alert = alarm.current();
+            if (!alert) return;
+
+            // Every acknowledgement records who made it
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.classList.add('invalid');
+                nameInput.focus();
+                return;
+            }
+            nameInput.classList.remove('invalid');
+
+            await alarm.acknowledge(alert, name);
+            refreshAlertsUI();
         });
     }
 
-    // Temperature slider would be similar...
+    const snoozeList = document.getElementById('alarm-snooze');
+    if (snoozeList) {
+        snoozeList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-minutes]');
+            const alert = alarm.current();
+            if (btn && alert) {
+                alarm.snooze(alert, Number(btn.dataset.minutes));
+            }
+        });
+    }
+}
+
+function renderAlarm({ alert, waiting }) {
+    const view = document.getElementById('alarm-view');
+    if (!view) return;
+
+    if (!alert) {
+        view.classList.add('hidden');
+        return;
+    }
+
+    const isWarning = alert.severity === 'WARNING';
+    const multipleDevices = window.deviceRegistry.list().length > 1;
+
+    view.classList.remove('hidden');
+    view.classList.toggle('warning', isWarning);
+
+    document.getElementById('alarm-severity').textContent = alert.severity;
+    document.getElementById('alarm-device').textContent = multipleDevices ? alert.deviceName : '';
+    document.getElementById('alarm-title').textContent = alert.title;
+    document.getElementById('alarm-desc').textContent = alert.description;
+    document.getElementById('alarm-status').textContent = alert.status === 'resolved'
+        ? `Resolved after ${formatDuration(alert.duration)} - acknowledge to dismiss`
+        : `Started ${formatAlertTime(alert.startedAt)}`;
+    document.getElementById('alarm-waiting').textContent = waiting > 1
+        ? `${waiting - 1} more alert${waiting > 2 ? 's' : ''} waiting`
+        : '';
+
+    const nameInput = document.getElementById('alarm-caregiver');
+    if (!nameInput.value) {
+        nameInput.value = window.alarmManager.caregiver;
+    }
+
+    document.getElementById('alarm-snooze').innerHTML = isWarning
+        ? window.alarmManager.snoozeOptions.map(minutes => `
+            <button class="btn btn-secondary" data-minutes="${minutes}">Snooze ${minutes} min</button>
+        `).join('')
+        : '';
 }
 
 /* ========================================
@@ -683,18 +1879,399 @@ function initSliders() {
 function initExportButtons() {
     const exportCSVBtn = document.getElementById('export-csv-btn');
     const exportJSONBtn = document.getElementById('export-json-btn');
+    const exportFHIRBtn = document.getElementById('export-fhir-btn');
+    const openDialog = initExportDialog();
 
     if (exportCSVBtn) {
-        exportCSVBtn.addEventListener('click', async () => {
-            await window.exportManager.exportCSV('all');
-        });
+        exportCSVBtn.addEventListener('click', () => openDialog('csv'));
     }
 
     if (exportJSONBtn) {
-        exportJSONBtn.addEventListener('click', async () => {
-            await window.exportManager.exportJSON('all');
-        });
+        exportJSONBtn.addEventListener('click', () => openDialog('json'));
     }
+
+    if (exportFHIRBtn) {
+        exportFHIRBtn.addEventListener('click', () => openDialog('fhir'));
+    }
+}
+
+// Export dialog: period, crib, timestamps, alerts and (for CSV) columns.
+// FHIR exports one crib at a time with that crib's patient reference.
+// Returns a function that opens it for a format.
+function initExportDialog() {
+    const modal = document.getElementById('export-modal');
+    if (!modal) return () => {};
+
+    const em = window.exportManager;
+    const rangeSelect = document.getElementById('export-range');
+    const customRange = document.getElementById('export-custom-range');
+    const fromInput = document.getElementById('export-from');
+    const toInput = document.getElementById('export-to');
+    const deviceSelect = document.getElementById('export-device');
+    const patientGroup = document.getElementById('export-patient-group');
+    const patientInput = document.getElementById('export-patient');
+    const timezoneGroup = document.getElementById('export-timezone-group');
+    const alertsGroup = document.getElementById('export-alerts-group');
+    const timezoneSelect = document.getElementById('export-timezone');
+    const alertsCheck = document.getElementById('export-alerts');
+    const columnsGroup = document.getElementById('export-columns-group');
+    const columnsList = document.getElementById('export-columns');
+    const status = document.getElementById('export-dialog-status');
+    const confirmBtn = document.getElementById('export-confirm-btn');
+    let format = 'csv';
+
+    timezoneSelect.options[0].textContent = `Local time (${em.getTimeZone()})`;
+
+    columnsList.innerHTML = em.columns.map(column => `
+        <label class="form-check ${column.alert ? 'hidden' : ''}" data-alert="${!!column.alert}">
+            <input type="checkbox" value="${column.key}" checked>
+            ${escapeHtml(column.label)}
+        </label>
+    `).join('');
+
+    // Alert columns only mean something when alerts are included
+    alertsCheck.addEventListener('change', () => {
+        columnsList.querySelectorAll('[data-alert="true"]').forEach(label => {
+            label.classList.toggle('hidden', !alertsCheck.checked);
+        });
+    });
+
+    rangeSelect.addEventListener('change', () => {
+        customRange.classList.toggle('hidden', rangeSelect.value !== 'custom');
+    });
+
+    // Each crib has its own patient
+    const showPatientReference = async () => {
+        patientInput.value = await em.getPatientReference(deviceSelect.value) || '';
+    };
+    deviceSelect.addEventListener('change', () => {
+        if (format === 'fhir') showPatientReference();
+    });
+
+    const progress = document.getElementById('export-progress');
+    const progressFill = progress.querySelector('.usage-fill');
+
+    em.on('progress', ({ written, total, done }) => {
+        progress.classList.toggle('hidden', !!done);
+        progressFill.style.width = `${total ? Math.round(written / total * 100) : 0}%`;
+        if (!done) {
+            status.textContent = `Exported ${written.toLocaleString()} of ${total.toLocaleString()} readings`;
+        }
+    });
+
+    // While an export runs, Cancel stops it; otherwise it closes the dialog
+    const close = () => {
+        if (em.job) {
+            em.cancel();
+            return;
+        }
+        modal.classList.add('hidden');
+    };
+    document.getElementById('export-cancel-btn').addEventListener('click', close);
+    modal.querySelector('.modal-backdrop').addEventListener('click', () => {
+        if (!em.job) close();
+    });
+
+    confirmBtn.addEventListener('click', async () => {
+        let range = rangeSelect.value;
+        if (range === 'custom') {
+            // Whole days, from the start of the first to the end of the last
+            const start = new Date(`${fromInput.value}T00:00:00`).getTime();
+            const end = new Date(`${toInput.value}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 - 1;
+            if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+                status.textContent = 'Choose a start date on or before the end date';
+                return;
+            }
+            range = { start, end: Math.min(end, Date.now()) };
+        }
+
+        const columns = [...columnsList.querySelectorAll('input:checked')].map(input => input.value);
+        if (format === 'csv' && !columns.includes('timestamp') && !columns.includes('datetime')) {
+            status.textContent = 'Keep at least one of the time columns';
+            return;
+        }
+
+        const options = {
+            columns,
+            utc: timezoneSelect.value === 'utc',
+            includeAlerts: alertsCheck.checked,
+            deviceId: deviceSelect.value || null
+        };
+
+        confirmBtn.disabled = true;
+        status.textContent = 'Exporting...';
+        let result;
+        try {
+            if (format === 'fhir') {
+                const patientReference = await em.setPatientReference(deviceSelect.value, patientInput.value);
+                if (!patientReference) {
+                    status.textContent = 'Enter the patient reference for this crib';
+                    return;
+                }
+                result = await em.exportFHIR(range, { deviceId: deviceSelect.value, patientReference });
+            } else {
+                result = format === 'csv'
+                    ? await em.exportCSV(range, options)
+                    : await em.exportJSON(range, options);
+            }
+        } catch (error) {
+            console.error('[App] Export failed:', error);
+            status.textContent = `Export failed: ${error.message}`;
+            return;
+        } finally {
+            confirmBtn.disabled = false;
+        }
+
+        if (!result) {
+            status.textContent = 'No readings in this period';
+        } else if (result.cancelled) {
+            status.textContent = 'Export cancelled';
+        } else {
+            status.textContent = '';
+            close();
+        }
+    });
+
+    return (chosen) => {
+        format = chosen;
+        document.getElementById('export-title').textContent = `Export ${chosen.toUpperCase()}`;
+        columnsGroup.classList.toggle('hidden', chosen !== 'csv');
+        patientGroup.classList.toggle('hidden', chosen !== 'fhir');
+        timezoneGroup.classList.toggle('hidden', chosen === 'fhir');
+        alertsGroup.classList.toggle('hidden', chosen === 'fhir');
+
+        const devices = window.deviceRegistry.list();
+        const allCribs = devices.length > 1 && chosen !== 'fhir';
+        deviceSelect.innerHTML = (allCribs ? '<option value="">All cribs</option>' : '') +
+            devices.map(device => `<option value="${device.id}">${escapeHtml(device.name)}</option>`).join('');
+        if (chosen === 'fhir') showPatientReference();
+
+        const today = toDateInputValue(new Date());
+        if (!fromInput.value) fromInput.value = today;
+        if (!toInput.value) toInput.value = today;
+        fromInput.max = today;
+        toInput.max = today;
+
+        status.textContent = '';
+        modal.classList.remove('hidden');
+    };
+}
+
+/* ========================================
+   CLINICIAN REPORT
+   ======================================== */
+
+// YYYY-MM-DD in local time, for date inputs
+function toDateInputValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function initReportUI() {
+    const fromInput = document.getElementById('report-from');
+    const toInput = document.getElementById('report-to');
+    const deviceSelect = document.getElementById('report-device');
+    const status = document.getElementById('report-status');
+    if (!fromInput) return;
+
+    // Last 7 days by default
+    const today = new Date();
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 6);
+    fromInput.value = toDateInputValue(weekAgo);
+    toInput.value = toDateInputValue(today);
+    toInput.max = toDateInputValue(today);
+
+    const renderDevices = () => {
+        const devices = window.deviceRegistry.list();
+        deviceSelect.innerHTML = (devices.length > 1 ? '<option value="">All cribs</option>' : '') +
+            devices.map(device => `
+                <option value="${device.id}" ${device.id === window.deviceRegistry.getSelectedId() ? 'selected' : ''}>
+                    ${escapeHtml(device.name)}
+                </option>
+            `).join('');
+    };
+    renderDevices();
+    ['added', 'updated', 'removed'].forEach(event => window.deviceRegistry.on(event, renderDevices));
+
+    const run = async (action) => {
+        // Whole days, from the start of the first to the end of the last
+        const start = new Date(`${fromInput.value}T00:00:00`).getTime();
+        const end = new Date(`${toInput.value}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 - 1;
+
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+            status.textContent = 'Choose a start date on or before the end date';
+            return;
+        }
+
+        status.textContent = 'Building report...';
+        const html = await window.reportManager[action]({ start, end: Math.min(end, Date.now()) }, deviceSelect.value || null);
+        status.textContent = html ? '' : 'No data recorded in this period';
+    };
+
+    document.getElementById('report-open-btn').addEventListener('click', () => run('openReport'));
+    document.getElementById('report-download-btn').addEventListener('click', () => run('downloadReport'));
+}
+
+/* ========================================
+   BACKUP & RESTORE
+   ======================================== */
+
+const BACKUP_STORE_LABELS = {
+    readings: 'Readings',
+    alerts: 'Alerts',
+    sessions: 'Sleep sessions',
+    rollups_minute: 'Minute averages',
+    rollups_hour: 'Hourly averages',
+    settings: 'Settings'
+};
+
+function initBackupUI() {
+    const backupBtn = document.getElementById('backup-btn');
+    const restoreBtn = document.getElementById('restore-btn');
+    const fileInput = document.getElementById('restore-file');
+    const modal = document.getElementById('restore-modal');
+    if (!backupBtn || !modal) return;
+
+    const bm = window.backupManager;
+    let archive = null;
+
+    backupBtn.addEventListener('click', async () => {
+        backupBtn.disabled = true;
+        await bm.downloadBackup();
+        backupBtn.disabled = false;
+    });
+
+    restoreBtn.addEventListener('click', () => fileInput.click());
+
+    // Validate the file and show what a restore would change before doing anything
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            archive = await bm.readFile(file);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        const { valid, errors } = bm.validate(archive);
+        if (!valid) {
+            alert(`This backup can't be restored:\n${errors.join('\n')}`);
+            archive = null;
+            return;
+        }
+
+        renderRestoreSummary(archive, await bm.findConflicts(archive));
+        modal.classList.remove('hidden');
+    });
+
+    document.getElementById('restore-cancel-btn').addEventListener('click', () => {
+        archive = null;
+        modal.classList.add('hidden');
+    });
+
+    const restore = async (mode) => {
+        if (!archive) return;
+        if (mode === 'replace' && !confirm('Delete everything stored on this tablet and replace it with the backup?')) {
+            return;
+        }
+
+        try {
+            await bm.restore(archive, mode);
+        } catch (error) {
+            console.error('[App] Restore failed:', error);
+            alert(`Restore failed: ${error.message}`);
+            return;
+        }
+
+        // Every manager loaded its state at startup - start again with the restored data
+        alert('Backup restored. The app will now reload.');
+        location.reload();
+    };
+
+    document.getElementById('restore-merge-btn').addEventListener('click', () => restore('merge'));
+    document.getElementById('restore-replace-btn').addEventListener('click', () => restore('replace'));
+
+    initImportUI();
+}
+
+// Settings → Backup & Restore → Import Pi log
+function initImportUI() {
+    const importBtn = document.getElementById('import-btn');
+    const fileInput = document.getElementById('import-file');
+    const deviceSelect = document.getElementById('import-device');
+    const status = document.getElementById('import-status');
+    if (!importBtn) return;
+
+    const renderDevices = () => {
+        deviceSelect.innerHTML = window.deviceRegistry.list().map(device => `
+            <option value="${device.id}" ${device.id === window.deviceRegistry.getSelectedId() ? 'selected' : ''}>
+                ${escapeHtml(device.name)}
+            </option>
+        `).join('');
+    };
+    renderDevices();
+    ['added', 'updated', 'removed'].forEach(event => window.deviceRegistry.on(event, renderDevices));
+
+    importBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        importBtn.disabled = true;
+        status.textContent = `Importing ${file.name}...`;
+
+        try {
+            const summary = await window.importManager.importFile(file, deviceSelect.value);
+            status.textContent = `${summary.imported.toLocaleString()} readings imported, ` +
+                `${summary.duplicates.toLocaleString()} already stored` +
+                (summary.invalid ? `, ${summary.invalid.toLocaleString()} without a usable time` : '') +
+                ` · ${summary.alerts} alert${summary.alerts === 1 ? '' : 's'} found`;
+        } catch (error) {
+            console.error('[App] Import failed:', error);
+            status.textContent = `Import failed: ${error.message}`;
+        }
+
+        importBtn.disabled = false;
+    });
+
+    // Backfilled or uploaded history changes charts and the alert list
+    window.importManager.on('imported', ({ imported }) => {
+        if (imported === 0) return;
+
+        window.trendsManager.clearCache();
+        if (appState.currentScreen === 'alerts') refreshAlertsUI();
+        if (appState.currentScreen === 'history') refreshTrendsUI();
+    });
+}
+
+function renderRestoreSummary(archive, report) {
+    const created = new Date(archive.created);
+    const rows = Object.entries(report.stores).map(([store, { incoming, duplicates, added }]) => `
+        <li>
+            <span>${BACKUP_STORE_LABELS[store]}</span>
+            <span>${incoming.toLocaleString()}${duplicates ? ` (${added.toLocaleString()} new)` : ''}</span>
+        </li>
+    `).join('');
+
+    const conflicts = [...report.settings, ...report.preferences];
+
+    document.getElementById('restore-summary').innerHTML = `
+        <p class="setting-value">Backup from ${isNaN(created) ? 'an unknown date' : created.toLocaleString()}</p>
+        <ul class="restore-counts">${rows}</ul>
+        ${conflicts.length ? `
+            <p class="restore-conflicts">
+                Different here and in the backup: ${conflicts.map(escapeHtml).join(', ')}.
+                Merge keeps this tablet's values; Replace uses the backup's.
+            </p>
+        ` : ''}
+        <p class="setting-value">Merge adds what this tablet doesn't have yet. Replace deletes this tablet's data first.</p>
+    `;
 }
 
 /* ========================================
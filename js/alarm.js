@@ -0,0 +1,187 @@
+/* ========================================
+   NURTHURE MONITOR - Alarm
+   Escalating alarm that keeps sounding until
+   a caregiver acknowledges it
+   ======================================== */
+
+class AlarmManager {
+    constructor() {
+        // Alerts waiting for acknowledgement, oldest first
+        this.pending = [];
+
+        // WARNING alerts a caregiver has put off: alert -> timer
+        this.snoozed = new Map();
+        this.snoozeOptions = [5, 15, 30]; // minutes
+
+        // CRITICAL alarms repeat, getting louder each time, until acknowledged
+        this.repeatInterval = 10000;
+        this.startGain = 0.3;
+        this.gainStep = 0.15;
+        this.maxGain = 1.0;
+        this.loopTimer = null;
+        this.rings = 0;
+
+        this.caregiver = localStorage.getItem('caregiverName') || '';
+
+        this.listeners = {
+            changed: []
+        };
+    }
+
+    // Initialize
+    init() {
+        const alerts = window.alertsManager;
+
+        alerts.on('alert', alert => this.raise(alert));
+        alerts.on('alertUpdated', alert => {
+            if (this.pending.includes(alert)) this.emitChanged();
+        });
+        alerts.on('alertCleared', alert => this.handleCleared(alert));
+        alerts.on('alertAcknowledged', ({ id }) => {
+            this.pending.filter(alert => alert.id === id).forEach(alert => this.dismiss(alert));
+        });
+
+        console.log('[Alarm] Initialized');
+    }
+
+    // Event system
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // Alert to show: unacknowledged CRITICAL first, then the oldest WARNING not snoozed
+    current() {
+        const waiting = this.pending.filter(alert => !this.snoozed.has(alert));
+        return waiting.find(alert => alert.severity === 'CRITICAL') || waiting[0] || null;
+    }
+
+    emitChanged() {
+        this.emit('changed', {
+            alert: this.current(),
+            waiting: this.pending.filter(alert => !this.snoozed.has(alert)).length
+        });
+    }
+
+    raise(alert) {
+        if (alert.severity !== 'CRITICAL' && alert.severity !== 'WARNING') return;
+
+        this.pending.push(alert);
+
+        if (alert.severity === 'CRITICAL') {
+            this.startEscalation();
+        }
+
+        this.emitChanged();
+    }
+
+    // A WARNING that cleared on its own no longer needs anyone. A CRITICAL
+    // one still does - someone has to know it happened.
+    handleCleared(alert) {
+        if (alert.severity === 'CRITICAL' && this.pending.includes(alert)) {
+            this.emitChanged();
+            return;
+        }
+
+        this.dismiss(alert);
+    }
+
+    // ========== ESCALATION ==========
+
+    // The first beep comes from AlertsManager when the alert is raised;
+    // this loop takes over from the first repeat.
+    startEscalation() {
+        if (this.loopTimer) return;
+
+        this.rings = 1;
+        this.loopTimer = setInterval(() => this.ring(), this.repeatInterval);
+    }
+
+    stopEscalation() {
+        if (this.loopTimer) {
+            clearInterval(this.loopTimer);
+            this.loopTimer = null;
+        }
+        this.rings = 0;
+    }
+
+    ring() {
+        const critical = this.pending.filter(alert => alert.severity === 'CRITICAL');
+        if (critical.length === 0) {
+            this.stopEscalation();
+            return;
+        }
+
+        // Respect the rules' channels: a rule set to notification-only stays silent
+        const channels = critical.flatMap(alert => alert.channels || window.alertsManager.channels);
+
+        const gain = Math.min(this.maxGain, this.startGain + this.rings * this.gainStep);
+        if (channels.includes('sound')) {
+            window.alertsManager.playSound('CRITICAL', gain);
+        }
+        if (channels.includes('vibrate')) {
+            window.alertsManager.vibrate([400, 100, 400, 100, 400]);
+        }
+        this.rings++;
+    }
+
+    // ========== CAREGIVER ACTIONS ==========
+
+    setCaregiver(name) {
+        this.caregiver = name.trim();
+        localStorage.setItem('caregiverName', this.caregiver);
+    }
+
+    async acknowledge(alert, by = this.caregiver) {
+        if (by !== this.caregiver) {
+            this.setCaregiver(by);
+        }
+
+        // Take it off screen first so a slow write doesn't keep the alarm going
+        this.dismiss(alert);
+        await window.alertsManager.acknowledgeAlert(alert.id, this.caregiver || null);
+    }
+
+    snooze(alert, minutes) {
+        // Only WARNING alerts can wait; CRITICAL ones need an acknowledgement
+        if (alert.severity !== 'WARNING' || !this.pending.includes(alert)) return;
+
+        clearTimeout(this.snoozed.get(alert));
+        this.snoozed.set(alert, setTimeout(() => {
+            this.snoozed.delete(alert);
+            if (this.pending.includes(alert)) {
+                if ((alert.channels || window.alertsManager.channels).includes('sound')) {
+                    window.alertsManager.playSound('WARNING');
+                }
+                this.emitChanged();
+            }
+        }, minutes * 60 * 1000));
+
+        console.log(`[Alarm] Snoozed ${alert.title} for ${minutes} min`);
+        this.emitChanged();
+    }
+
+    dismiss(alert) {
+        if (!this.pending.includes(alert)) return;
+
+        clearTimeout(this.snoozed.get(alert));
+        this.snoozed.delete(alert);
+        this.pending = this.pending.filter(a => a !== alert);
+
+        if (!this.pending.some(a => a.severity === 'CRITICAL')) {
+            this.stopEscalation();
+        }
+
+        this.emitChanged();
+    }
+}
+
+// Create global instance
+window.alarmManager = new AlarmManager();
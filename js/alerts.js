@@ -5,14 +5,40 @@
 
 class AlertsManager {
     constructor() {
-        // Default thresholds
-        this.thresholds = {
+        // Default thresholds, per sensor. Rules alert below `min` or above `max`.
+        this.defaultThresholds = {
             respiration: { min: 20, max: 60 },
-            co2: { max: 1000 },
             bodyTemp: { min: 36, max: 38 },
-            voc: { max: 1.0 }
+            envTemp: { min: 16, max: 24 },
+            co2: { max: 1000 },
+            voc: { max: 1.0 },
+            audioLevel: { max: 80 },
+            movement: { max: 70 }
         };
 
+        // Effective thresholds are layered: defaults, then the age preset from
+        // the infant profile, then values the user set by hand.
+        this.preset = null;
+        this.thresholdOverrides = {};
+        this.thresholds = this.mergeThresholds();
+
+        // How far the Settings sliders let each threshold go
+        this.thresholdLimits = {
+            respiration: { from: 5, to: 100, step: 1 },
+            bodyTemp: { from: 34, to: 40, step: 0.1 },
+            envTemp: { from: 10, to: 35, step: 0.5 },
+            co2: { from: 400, to: 5000, step: 50 },
+            voc: { from: 0.1, to: 5, step: 0.1 },
+            audioLevel: { from: 30, to: 120, step: 1 },
+            movement: { from: 5, to: 100, step: 1 }
+        };
+
+        this.severities = ['CRITICAL', 'WARNING', 'INFO'];
+        this.channels = ['sound', 'vibrate', 'notification'];
+
+        // Per-rule overrides of the definitions: { [key]: { enabled, severity, channels } }
+        this.ruleConfig = {};
+
         this.soundEnabled = true;
         this.vibrationEnabled = true;
         this.notificationsEnabled = true;
@@ -21,20 +47,43 @@ class AlertsManager {
         this.alertSound = null;
         this.criticalSound = null;
 
-        // Cooldown to prevent alert spam (ms)
-        this.alertCooldown = 30000; // 30 seconds
-        this.lastAlerts = {};
+        // Open alerts by `${deviceId}:${key}`. An alert stays open while its
+        // rule holds, so the same condition never raises a second alert.
+        this.activeAlerts = {};
+
+        // Time-windowed evaluation: rules must hold for a while before alerting
+        this.engine = new RuleEngine();
+        this.rules = this.createRules();
+
+        // Stretches of time the live engine has evaluated, per device:
+        // [{ start, end }] on reading timestamps. Replayed history skips them.
+        this.liveCoverage = {};
+        this.maxCoverageWindows = 50;
 
         this.listeners = {
             alert: [],
-            alertCleared: []
+            alertUpdated: [],
+            alertCleared: [],
+            alertAcknowledged: [],
+            thresholdsChanged: []
         };
     }
 
     // Initialize
     async init() {
-        // Load saved thresholds
+        // Load saved thresholds and rule settings
         await this.loadThresholds();
+        await this.loadRuleConfig();
+
+        // Age-banded presets follow the infant profile as the baby grows
+        const profile = window.profileManager;
+        if (profile) {
+            this.setPreset(profile.getPreset());
+            profile.on('bandChanged', () => this.setPreset(profile.getPreset()));
+        }
+
+        // Alerts left open by the last session can't be followed up - close them
+        await this.closeOrphanedAlerts();
 
         // Create audio elements
         this.createAlertSounds();
@@ -71,8 +120,8 @@ class AlertsManager {
         }
     }
 
-    // Play alert sound
-    playSound(severity) {
+    // Play alert sound. `gain` overrides the default volume (the alarm escalates it).
+    playSound(severity, gain = null) {
         if (!this.soundEnabled || !this.audioContext) return;
 
         // Resume audio context if suspended (browser autoplay policy)
@@ -90,25 +139,25 @@ class AlertsManager {
         if (severity === 'CRITICAL') {
             oscillator.frequency.value = 880; // A5 - higher, more urgent
             oscillator.type = 'square';
-            gainNode.gain.value = 0.3;
+            gainNode.gain.value = gain ?? 0.3;
 
             // Beep pattern: beep-beep-beep
             oscillator.start();
             setTimeout(() => oscillator.stop(), 150);
 
-            setTimeout(() => this.playBeep(880, 150), 200);
-            setTimeout(() => this.playBeep(880, 150), 400);
+            setTimeout(() => this.playBeep(880, 150, gain ?? 0.3), 200);
+            setTimeout(() => this.playBeep(880, 150, gain ?? 0.3), 400);
         } else {
             oscillator.frequency.value = 523; // C5 - lower, less urgent
             oscillator.type = 'sine';
-            gainNode.gain.value = 0.2;
+            gainNode.gain.value = gain ?? 0.2;
 
             oscillator.start();
             setTimeout(() => oscillator.stop(), 300);
         }
     }
 
-    playBeep(frequency, duration) {
+    playBeep(frequency, duration, gain = 0.3) {
         if (!this.audioContext) return;
 
         const oscillator = this.audioContext.createOscillator();
@@ -118,7 +167,7 @@ class AlertsManager {
         gainNode.connect(this.audioContext.destination);
         oscillator.frequency.value = frequency;
         oscillator.type = 'square';
-        gainNode.gain.value = 0.3;
+        gainNode.gain.value = gain;
 
         oscillator.start();
         setTimeout(() => oscillator.stop(), duration);
@@ -151,145 +200,468 @@ class AlertsManager {
         });
     }
 
-    // Load thresholds from storage
+    // Load threshold overrides from storage
     async loadThresholds() {
         if (window.storageManager && window.storageManager.db) {
-            const saved = await window.storageManager.getSetting('thresholds');
-            if (saved) {
-                this.thresholds = { ...this.thresholds, ...saved };
+            let overrides = await window.storageManager.getSetting('thresholdOverrides');
+
+            // Older versions saved the full threshold set; anything that
+            // differs from the defaults was set by hand
+            if (!overrides) {
+                const legacy = await window.storageManager.getSetting('thresholds');
+                overrides = legacy ? this.diffThresholds(legacy, this.defaultThresholds) : {};
             }
+
+            this.thresholdOverrides = overrides;
+            this.applyThresholds();
         }
     }
 
-    // Save thresholds to storage
+    // Save threshold overrides to storage
     async saveThresholds() {
         if (window.storageManager && window.storageManager.db) {
-            await window.storageManager.saveSetting('thresholds', this.thresholds);
+            await window.storageManager.saveSetting('thresholdOverrides', this.thresholdOverrides);
         }
     }
 
-    // Update a threshold
+    // Values in `thresholds` that differ from `base`
+    diffThresholds(thresholds, base) {
+        const diff = {};
+        Object.keys(base).forEach(sensor => {
+            Object.keys(base[sensor]).forEach(limit => {
+                const value = thresholds[sensor]?.[limit];
+                if (typeof value === 'number' && value !== base[sensor][limit]) {
+                    diff[sensor] = { ...diff[sensor], [limit]: value };
+                }
+            });
+        });
+        return diff;
+    }
+
+    // Defaults, then preset, then overrides. Only limits a sensor has by
+    // default are kept (a CO₂ preset can't invent a minimum).
+    mergeThresholds() {
+        const merged = {};
+
+        Object.keys(this.defaultThresholds).forEach(sensor => {
+            const base = { ...this.defaultThresholds[sensor] };
+            Object.keys(base).forEach(limit => {
+                base[limit] = this.preset?.[sensor]?.[limit] ?? base[limit];
+            });
+
+            const withOverrides = { ...base };
+            Object.keys(base).forEach(limit => {
+                withOverrides[limit] = this.thresholdOverrides[sensor]?.[limit] ?? base[limit];
+            });
+
+            // A new preset can leave an old override on the wrong side of the other limit
+            const crossed = 'min' in withOverrides && 'max' in withOverrides &&
+                withOverrides.min >= withOverrides.max;
+            if (crossed) {
+                console.warn(`[Alerts] Ignoring ${sensor} override - it conflicts with the preset`);
+            }
+
+            merged[sensor] = crossed ? base : withOverrides;
+        });
+
+        return merged;
+    }
+
+    applyThresholds() {
+        this.thresholds = this.mergeThresholds();
+        this.emit('thresholdsChanged', this.thresholds);
+    }
+
+    // Switch to an age preset ({ sensor: { min, max } }), or null for the defaults
+    setPreset(preset) {
+        this.preset = preset;
+        this.applyThresholds();
+    }
+
+    // Value a threshold would have without a manual override
+    getPresetThreshold(sensor, limit) {
+        return this.preset?.[sensor]?.[limit] ?? this.defaultThresholds[sensor]?.[limit];
+    }
+
+    isOverridden(sensor, limit) {
+        return this.thresholdOverrides[sensor]?.[limit] !== undefined;
+    }
+
+    // Update a threshold. Returns false if it would leave min at or above max.
     async setThreshold(sensor, min, max) {
-        if (this.thresholds[sensor]) {
-            if (min !== undefined) this.thresholds[sensor].min = min;
-            if (max !== undefined) this.thresholds[sensor].max = max;
-            await this.saveThresholds();
+        const current = this.thresholds[sensor];
+        if (!current) return false;
+
+        const next = { ...current };
+        if (min !== undefined && 'min' in current) next.min = min;
+        if (max !== undefined && 'max' in current) next.max = max;
+
+        if ('min' in next && 'max' in next && next.min >= next.max) {
+            return false;
         }
-    }
 
-    // Check reading against thresholds
-    checkReading(reading) {
-        const alerts = [];
-        const now = Date.now();
-
-        // Check respiration
-        if (reading.respiration?.value !== null) {
-            const resp = reading.respiration.value;
-
-            if (resp < this.thresholds.respiration.min) {
-                alerts.push(this.createAlert(
-                    'CRITICAL',
-                    'Apnea Detected (mmWave)',
-                    `No respiration detected for 15 seconds. Current: ${resp} rpm`,
-                    'respiration_low'
-                ));
-            } else if (resp > this.thresholds.respiration.max) {
-                alerts.push(this.createAlert(
-                    'WARNING',
-                    'High Respiration Rate',
-                    `Respiration rate elevated at ${resp} rpm`,
-                    'respiration_high'
-                ));
+        // Only values that differ from the preset count as overrides, so
+        // dragging a slider back to the preset value un-overrides it
+        const overrides = { ...this.thresholdOverrides[sensor] };
+        Object.keys(next).forEach(limit => {
+            if (next[limit] !== current[limit] || this.isOverridden(sensor, limit)) {
+                if (next[limit] === this.getPresetThreshold(sensor, limit)) {
+                    delete overrides[limit];
+                } else {
+                    overrides[limit] = next[limit];
+                }
             }
+        });
+
+        if (Object.keys(overrides).length > 0) {
+            this.thresholdOverrides[sensor] = overrides;
+        } else {
+            delete this.thresholdOverrides[sensor];
         }
 
-        // Check CO2
-        if (reading.environment?.co2?.value !== null) {
-            const co2 = reading.environment.co2.value;
+        this.applyThresholds();
+        await this.saveThresholds();
+        return true;
+    }
 
-            if (co2 > this.thresholds.co2.max) {
-                alerts.push(this.createAlert(
-                    'WARNING',
-                    'High CO₂ (MH-Z19C)',
-                    `Carbon dioxide levels exceeded ${this.thresholds.co2.max} ppm. Current: ${co2} ppm`,
-                    'co2_high'
-                ));
-            }
+    // Drop a manual override and go back to the preset value
+    async resetThreshold(sensor, limit) {
+        if (!this.isOverridden(sensor, limit)) return;
+
+        delete this.thresholdOverrides[sensor][limit];
+        if (Object.keys(this.thresholdOverrides[sensor]).length === 0) {
+            delete this.thresholdOverrides[sensor];
         }
 
-        // Check body temperature
-        if (reading.bodyTemp?.value !== null) {
-            const temp = reading.bodyTemp.value;
-
-            if (temp < this.thresholds.bodyTemp.min) {
-                alerts.push(this.createAlert(
-                    'WARNING',
-                    'Low Body Temperature',
-                    `Body temperature below normal at ${temp}°C`,
-                    'temp_low'
-                ));
-            } else if (temp > this.thresholds.bodyTemp.max) {
-                alerts.push(this.createAlert(
-                    'CRITICAL',
-                    'High Body Temperature',
-                    `Fever detected at ${temp}°C`,
-                    'temp_high'
-                ));
+        this.applyThresholds();
+        await this.saveThresholds();
+    }
+
+    // Load per-rule settings from storage
+    async loadRuleConfig() {
+        if (window.storageManager && window.storageManager.db) {
+            const saved = await window.storageManager.getSetting('ruleConfig');
+            if (saved) {
+                this.ruleConfig = saved;
+                this.rules = this.createRules();
             }
         }
+    }
 
-        // Check posture
-        if (reading.posture?.state === 'prone') {
-            alerts.push(this.createAlert(
-                'WARNING',
-                'Prone Position (Camera)',
-                'Infant rolled onto stomach detected by vision system.',
-                'posture_prone'
-            ));
+    async saveRuleConfig() {
+        if (window.storageManager && window.storageManager.db) {
+            await window.storageManager.saveSetting('ruleConfig', this.ruleConfig);
         }
+    }
 
-        // Check VOC
-        if (reading.environment?.voc?.value !== null) {
-            const voc = reading.environment.voc.value;
+    // Change a rule's enabled / severity / channels
+    async updateRule(key, changes) {
+        const definition = this.ruleDefinitions.find(def => def.key === key);
+        if (!definition) return false;
 
-            if (voc > this.thresholds.voc.max) {
-                alerts.push(this.createAlert(
-                    'WARNING',
-                    'High VOC Levels',
-                    `Volatile organic compounds elevated at ${voc}`,
-                    'voc_high'
-                ));
-            }
+        const config = { ...this.ruleConfig[key] };
+        if (changes.enabled !== undefined) config.enabled = !!changes.enabled;
+        if (this.severities.includes(changes.severity)) config.severity = changes.severity;
+        if (Array.isArray(changes.channels)) {
+            config.channels = changes.channels.filter(channel => this.channels.includes(channel));
         }
 
-        // Check gas safety
-        if (reading.environment?.gas?.safe === false) {
-            alerts.push(this.createAlert(
-                'CRITICAL',
-                'Gas Safety Alert',
-                'Unsafe gas levels detected by MQ-135 sensor.',
-                'gas_unsafe'
-            ));
+        this.ruleConfig[key] = config;
+        this.rules = this.createRules();
+        await this.saveRuleConfig();
+
+        // A disabled rule is no longer evaluated, so nothing would ever clear its alerts
+        if (config.enabled === false) {
+            this.engine.resetRule(key);
+            this.getActiveAlerts()
+                .filter(alert => alert.key === key)
+                .forEach(alert => this.resolveAlert(`${alert.deviceId}:${key}`, {
+                    since: alert.startedAt,
+                    duration: alert.lastSeenAt - alert.startedAt,
+                    peak: alert.peak
+                }, { timestamp: alert.lastSeenAt }));
         }
 
-        // Check audio for choking
-        if (reading.audio?.state === 'choking') {
-            alerts.push(this.createAlert(
-                'CRITICAL',
-                'Choking Sound (MEMS)',
-                'Audio pattern matching choking detected.',
-                'audio_choking'
-            ));
+        return true;
+    }
+
+    // Rule definitions merged with their saved settings, for the Settings editor
+    getRules() {
+        return this.rules;
+    }
+
+    // Fill a message template: 'Current: {value} rpm'
+    formatMessage(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, name) =>
+            values[name] !== undefined && values[name] !== null ? values[name] : match);
+    }
+
+    // Every alert rule, as data. Numeric rules take their threshold from
+    // this.thresholds[sensor][limit]; the rest match a fixed value.
+    createRuleDefinitions() {
+        const definitions = [
+            {
+                key: 'respiration_low',
+                sensor: 'respiration',
+                condition: 'below',
+                limit: 'min',
+                persistFor: 15,
+                hysteresis: 2,
+                severity: 'CRITICAL',
+                title: 'Apnea Detected (mmWave)',
+                message: 'Respiration below {threshold} rpm for {duration} seconds. Current: {value} rpm'
+            },
+            {
+                key: 'respiration_high',
+                sensor: 'respiration',
+                condition: 'above',
+                limit: 'max',
+                persistFor: 30,
+                hysteresis: 3,
+                severity: 'WARNING',
+                title: 'High Respiration Rate',
+                message: 'Respiration rate elevated at {value} rpm for {duration} seconds'
+            },
+            {
+                key: 'temp_low',
+                sensor: 'bodyTemp',
+                condition: 'below',
+                limit: 'min',
+                persistFor: 60,
+                hysteresis: 0.2,
+                severity: 'WARNING',
+                title: 'Low Body Temperature',
+                message: 'Body temperature below normal at {value}°C'
+            },
+            {
+                key: 'temp_high',
+                sensor: 'bodyTemp',
+                condition: 'above',
+                limit: 'max',
+                persistFor: 60,
+                hysteresis: 0.2,
+                severity: 'CRITICAL',
+                title: 'High Body Temperature',
+                message: 'Fever detected at {value}°C'
+            },
+            {
+                key: 'env_temp_low',
+                sensor: 'envTemp',
+                condition: 'below',
+                limit: 'min',
+                persistFor: 300,
+                hysteresis: 0.5,
+                severity: 'WARNING',
+                title: 'Room Too Cold',
+                message: 'Room temperature is {value}°C, below {threshold}°C'
+            },
+            {
+                key: 'env_temp_high',
+                sensor: 'envTemp',
+                condition: 'above',
+                limit: 'max',
+                persistFor: 300,
+                hysteresis: 0.5,
+                severity: 'WARNING',
+                title: 'Room Too Warm',
+                message: 'Room temperature is {value}°C, above {threshold}°C. Overheating is a SIDS risk factor.'
+            },
+            {
+                key: 'co2_high',
+                sensor: 'co2',
+                condition: 'above',
+                limit: 'max',
+                persistFor: 60,
+                hysteresis: 50,
+                severity: 'WARNING',
+                title: 'High CO₂ (MH-Z19C)',
+                message: 'Carbon dioxide levels exceeded {threshold} ppm. Current: {value} ppm'
+            },
+            {
+                key: 'voc_high',
+                sensor: 'voc',
+                condition: 'above',
+                limit: 'max',
+                persistFor: 60,
+                hysteresis: 0.1,
+                severity: 'WARNING',
+                title: 'High VOC Levels',
+                message: 'Volatile organic compounds elevated at {value}'
+            },
+            {
+                key: 'gas_unsafe',
+                sensor: 'gas',
+                condition: 'equals',
+                threshold: false,
+                persistFor: 0,
+                clearAfter: 10,
+                severity: 'CRITICAL',
+                title: 'Gas Safety Alert',
+                message: 'Unsafe gas levels detected by MQ-135 sensor.'
+            },
+            {
+                key: 'audio_choking',
+                sensor: 'audio',
+                condition: 'equals',
+                threshold: 'choking',
+                persistFor: 0,
+                clearAfter: 5,
+                severity: 'CRITICAL',
+                title: 'Choking Sound (MEMS)',
+                message: 'Audio pattern matching choking detected.'
+            },
+            {
+                key: 'audio_crying',
+                sensor: 'audio',
+                condition: 'equals',
+                threshold: 'crying',
+                persistFor: 120,
+                clearAfter: 30,
+                severity: 'INFO',
+                title: 'Crying',
+                message: 'Baby has been crying for {duration} seconds.'
+            },
+            {
+                key: 'audio_loud',
+                sensor: 'audioLevel',
+                condition: 'above',
+                limit: 'max',
+                persistFor: 30,
+                hysteresis: 5,
+                severity: 'INFO',
+                title: 'Loud Room',
+                message: 'Sound level above {threshold} dB for {duration} seconds. Current: {value} dB'
+            },
+            {
+                key: 'posture_prone',
+                sensor: 'posture',
+                condition: 'equals',
+                threshold: 'prone',
+                persistFor: 5,
+                clearAfter: 5,
+                severity: 'WARNING',
+                title: 'Prone Position (Camera)',
+                message: 'Infant rolled onto stomach detected by vision system.'
+            },
+            {
+                key: 'radar_absent',
+                sensor: 'radar',
+                condition: 'equals',
+                threshold: false,
+                persistFor: 10,
+                clearAfter: 5,
+                severity: 'WARNING',
+                title: 'No Presence Detected (mmWave)',
+                message: 'Radar has not detected the baby for {duration} seconds.'
+            },
+            {
+                key: 'movement_high',
+                sensor: 'movement',
+                condition: 'above',
+                limit: 'max',
+                persistFor: 60,
+                hysteresis: 5,
+                severity: 'INFO',
+                title: 'Restless Sleep',
+                message: 'Movement above {threshold} for {duration} seconds. Current: {value}'
+            }
+        ];
+
+        // Sensors that stopped reporting (see FreshnessTracker). A silent
+        // respiration sensor is as serious as a bad respiration value.
+        const catalog = window.sensorCatalog;
+        catalog.keys(sensor => sensor.staleAfter).forEach(sensor => {
+            const label = catalog.get(sensor).label;
+            definitions.push({
+                key: `sensor_stale_${sensor}`,
+                sensor,
+                read: reading => (reading.stale || []).includes(sensor),
+                condition: 'equals',
+                threshold: true,
+                persistFor: 0,
+                severity: sensor === 'respiration' ? 'CRITICAL' : 'WARNING',
+                title: `${label} Not Reporting`,
+                message: `No valid ${label} data ({reason}). The last value shown may be out of date.`
+            });
+        });
+
+        return definitions;
+    }
+
+    // Engine rules: definitions with saved settings applied. Thresholds are
+    // read live from this.thresholds so slider changes apply immediately.
+    createRules() {
+        if (!this.ruleDefinitions) {
+            this.ruleDefinitions = this.createRuleDefinitions();
         }
 
-        // Process and emit alerts (respecting cooldown)
-        alerts.forEach(alert => {
-            if (this.shouldTriggerAlert(alert.key)) {
-                this.triggerAlert(alert);
+        return this.ruleDefinitions.map(def => {
+            const config = this.ruleConfig[def.key] || {};
+            const threshold = def.limit
+                ? () => this.thresholds[def.sensor][def.limit]
+                : def.threshold;
+
+            return {
+                ...def,
+                enabled: config.enabled !== false,
+                severity: config.severity || def.severity,
+                channels: config.channels || [...this.channels],
+                threshold,
+                describe: ({ value, duration, reading }) => this.formatMessage(def.message, {
+                    value,
+                    duration: Math.round(duration / 1000),
+                    threshold: def.limit ? this.thresholds[def.sensor][def.limit] : def.threshold,
+                    reason: reading?.staleInfo?.[def.sensor]?.reason || 'no data'
+                })
+            };
+        });
+    }
+
+    // Check reading against the alert rules. Rule transitions drive the
+    // alert lifecycle: start opens an alert, update raises its peak, clear resolves it.
+    checkReading(reading) {
+        const deviceId = reading.deviceId || 'default';
+        const transitions = this.engine.evaluate(this.rules, reading, deviceId);
+        this.recordCoverage(deviceId, reading.timestamp);
+
+        const opened = [];
+        transitions.forEach(transition => {
+            const id = `${deviceId}:${transition.rule.key}`;
+
+            switch (transition.type) {
+                case 'start':
+                    opened.push(this.openAlert(id, deviceId, transition, reading));
+                    break;
+                case 'update':
+                    this.updateAlert(id, transition, reading);
+                    break;
+                case 'clear':
+                    this.resolveAlert(id, transition, reading);
+                    break;
             }
         });
 
-        return alerts;
+        return opened;
+    }
+
+    // Note that the live engine evaluated a device at `timestamp`. Readings
+    // closer together than the engine's maxGap extend the same window.
+    recordCoverage(deviceId, timestamp) {
+        const windows = this.liveCoverage[deviceId] || (this.liveCoverage[deviceId] = []);
+        const last = windows[windows.length - 1];
+
+        if (last && timestamp >= last.start && timestamp - last.end <= this.engine.maxGap) {
+            last.end = Math.max(last.end, timestamp);
+            return;
+        }
+
+        windows.push({ start: timestamp, end: timestamp });
+        if (windows.length > this.maxCoverageWindows) windows.shift();
+    }
+
+    // Did the live engine already evaluate this device at `timestamp`?
+    isLiveCovered(deviceId, timestamp) {
+        return (this.liveCoverage[deviceId] || []).some(window => timestamp >= window.start && timestamp <= window.end);
     }
 
     // Create alert object
@@ -303,38 +675,299 @@ class AlertsManager {
         };
     }
 
-    // Check cooldown
-    shouldTriggerAlert(key) {
-        const lastTime = this.lastAlerts[key] || 0;
-        return Date.now() - lastTime > this.alertCooldown;
+    openAlert(id, deviceId, { rule, value, since, duration, peak }, reading) {
+        const alert = this.createAlert(
+            rule.severity,
+            rule.title,
+            rule.describe({ value, duration, reading }),
+            rule.key
+        );
+
+        // Tag with the crib the reading came from
+        alert.deviceId = deviceId;
+        alert.deviceName = window.deviceRegistry?.getDeviceName(deviceId);
+
+        alert.channels = rule.channels;
+        alert.status = 'active';
+        alert.raisedAt = alert.timestamp;
+        alert.startedAt = since;
+        alert.timestamp = since;
+        alert.value = value;
+        alert.peak = peak;
+        alert.lastSeenAt = reading.timestamp;
+
+        this.activeAlerts[id] = alert;
+        this.triggerAlert(alert);
+
+        return alert;
+    }
+
+    // Condition still holding and getting worse - record the new peak
+    async updateAlert(id, { rule, value, duration, peak }, reading) {
+        const alert = this.activeAlerts[id];
+        if (!alert) return;
+
+        alert.value = value;
+        alert.peak = peak;
+        alert.lastSeenAt = reading.timestamp;
+        alert.description = rule.describe({ value, duration, reading });
+
+        await this.saveAlertChanges(alert, {
+            value,
+            peak,
+            lastSeenAt: alert.lastSeenAt,
+            description: alert.description
+        });
+
+        this.emit('alertUpdated', alert);
+    }
+
+    async resolveAlert(id, { since, duration, peak }, reading) {
+        const alert = this.activeAlerts[id];
+        if (!alert) return;
+        delete this.activeAlerts[id];
+
+        alert.status = 'resolved';
+        alert.endedAt = since + duration;
+        alert.duration = duration;
+        alert.peak = peak;
+        alert.lastSeenAt = reading.timestamp;
+
+        await this.saveAlertChanges(alert, {
+            status: alert.status,
+            endedAt: alert.endedAt,
+            duration: alert.duration,
+            peak: alert.peak
+        });
+
+        this.emit('alertCleared', alert);
+        console.log(`[Alerts] Resolved: ${alert.title} after ${Math.round(duration / 1000)}s`);
+    }
+
+    // Run past readings (e.g. imported from the Pi's log) through the rules and
+    // store the alerts they would have raised. These are history: nothing
+    // sounds, and the live rule state is left alone. Readings from a stretch
+    // the live engine already evaluated are skipped - their alerts were raised
+    // live - and the replay starts over after it.
+    //
+    // History that arrives a batch at a time shares one `replay` (from
+    // createReplay) across calls, so an alert can run from one batch into the
+    // next; each call saves the alerts that ended, and finishReplay the rest.
+    async replayReadings(readings, replay = null) {
+        const { engine, open } = replay || this.createReplay();
+        const finished = [];
+
+        const close = (id) => {
+            finished.push(this.interruptReplayed(open[id]));
+            delete open[id];
+        };
+
+        [...readings].sort((a, b) => a.timestamp - b.timestamp).forEach(reading => {
+            const deviceId = reading.deviceId || 'default';
+
+            if (this.isLiveCovered(deviceId, reading.timestamp)) {
+                Object.keys(open).filter(id => id.startsWith(`${deviceId}:`)).forEach(close);
+                engine.resetScope(deviceId);
+                return;
+            }
+
+            engine.evaluate(this.rules, reading, deviceId).forEach(({ type, rule, value, since, duration, peak }) => {
+                const id = `${deviceId}:${rule.key}`;
+                let alert = open[id];
+
+                if (type === 'start') {
+                    alert = this.createAlert(rule.severity, rule.title, '', rule.key);
+                    alert.deviceId = deviceId;
+                    alert.deviceName = window.deviceRegistry?.getDeviceName(deviceId);
+                    alert.channels = rule.channels;
+                    alert.raisedAt = reading.timestamp;
+                    alert.startedAt = since;
+                    alert.timestamp = since;
+                    alert.imported = true;
+                    open[id] = alert;
+                }
+                if (!alert) return;
+
+                alert.value = value;
+                alert.peak = peak;
+                alert.lastSeenAt = reading.timestamp;
+                alert.description = rule.describe({ value, duration, reading });
+
+                if (type === 'clear') {
+                    alert.status = 'resolved';
+                    alert.endedAt = since + duration;
+                    alert.duration = duration;
+                    finished.push(alert);
+                    delete open[id];
+                }
+            });
+        });
+
+        if (!replay) {
+            Object.keys(open).forEach(close);
+        }
+
+        return this.saveReplayed(finished);
+    }
+
+    // Rule state for replaying history in batches
+    createReplay() {
+        return { engine: new RuleEngine(), open: {} };
     }
 
-    // Trigger an alert
-    async triggerAlert(alert) {
-        this.lastAlerts[alert.key] = alert.timestamp;
+    // End a batched replay: alerts still going when the history ran out are
+    // saved as interrupted
+    async finishReplay(replay) {
+        const alerts = Object.values(replay.open).map(alert => this.interruptReplayed(alert));
+        replay.open = {};
+        return this.saveReplayed(alerts);
+    }
+
+    // Still going when the replayed data ran out
+    interruptReplayed(alert) {
+        alert.status = 'resolved';
+        alert.endedAt = alert.lastSeenAt;
+        alert.duration = alert.lastSeenAt - alert.startedAt;
+        alert.interrupted = true;
+        return alert;
+    }
+
+    async saveReplayed(alerts) {
+        alerts.sort((a, b) => a.startedAt - b.startedAt);
 
-        // Save to storage
         if (window.storageManager && window.storageManager.db) {
-            await window.storageManager.saveAlert(alert);
+            for (const alert of alerts) {
+                alert.id = await window.storageManager.saveAlert(alert);
+            }
         }
 
+        if (alerts.length > 0) {
+            console.log(`[Alerts] ${alerts.length} alert(s) found in imported readings`);
+        }
+        return alerts;
+    }
+
+    // Record who acknowledged an alert; response latency is measured from when it was raised
+    async acknowledgeAlert(alertId, by = null) {
+        const at = Date.now();
+
+        const open = Object.values(this.activeAlerts).find(alert => alert.id === alertId);
+        if (open) {
+            open.acknowledged = true;
+            open.acknowledgedAt = at;
+            open.acknowledgedBy = by;
+        }
+
+        let acknowledgement = null;
+        if (window.storageManager && window.storageManager.db && alertId !== undefined) {
+            acknowledgement = await window.storageManager.acknowledgeAlert(alertId, by, at);
+        }
+
+        this.emit('alertAcknowledged', {
+            id: alertId,
+            by,
+            at,
+            latency: acknowledgement ? acknowledgement.latency : null
+        });
+
+        console.log(`[Alerts] Acknowledged alert ${alertId}${by ? ` by ${by}` : ''}`);
+        return acknowledgement;
+    }
+
+    // Still-open alerts, optionally for one crib
+    getActiveAlerts(deviceId = null) {
+        return Object.values(this.activeAlerts)
+            .filter(alert => !deviceId || alert.deviceId === deviceId);
+    }
+
+    // Sensor whose rule raised a stored alert, or null (e.g. old alerts without a key)
+    getAlertSensor(alert) {
+        if (!this.ruleDefinitions) {
+            this.ruleDefinitions = this.createRuleDefinitions();
+        }
+        return this.ruleDefinitions.find(def => def.key === alert.key)?.sensor || null;
+    }
+
+    // The rule engine starts empty, so an alert still marked active from a
+    // previous session would never clear. End it at the last time it was seen.
+    async closeOrphanedAlerts() {
+        if (!window.storageManager || !window.storageManager.db) return;
+
+        const orphaned = await window.storageManager.getActiveAlerts();
+        for (const alert of orphaned) {
+            const endedAt = alert.lastSeenAt || alert.startedAt || alert.timestamp;
+            await window.storageManager.updateAlert(alert.id, {
+                status: 'resolved',
+                endedAt,
+                duration: endedAt - (alert.startedAt || alert.timestamp),
+                interrupted: true
+            });
+        }
+
+        if (orphaned.length > 0) {
+            console.log(`[Alerts] Closed ${orphaned.length} alert(s) left open by the last session`);
+        }
+    }
+
+    // Trigger an alert. Sound, vibration and notification go first - a
+    // database that fails or hangs must never keep an alarm quiet.
+    triggerAlert(alert) {
+        // Each rule picks its own channels
+        const channels = alert.channels || this.channels;
+
         // Play sound
-        this.playSound(alert.severity);
+        if (channels.includes('sound')) {
+            this.playSound(alert.severity);
+        }
 
         // Vibrate
-        if (alert.severity === 'CRITICAL') {
-            this.vibrate([200, 100, 200, 100, 200]);
-        } else {
-            this.vibrate([200, 100, 200]);
+        if (channels.includes('vibrate')) {
+            if (alert.severity === 'CRITICAL') {
+                this.vibrate([200, 100, 200, 100, 200]);
+            } else {
+                this.vibrate([200, 100, 200]);
+            }
         }
 
-        // Show notification
-        this.showNotification(alert.title, alert.description, alert.severity);
+        // Show notification (name the crib when there is more than one)
+        if (channels.includes('notification')) {
+            const multipleDevices = (window.deviceRegistry?.list().length || 1) > 1;
+            const title = multipleDevices ? `${alert.deviceName}: ${alert.title}` : alert.title;
+            this.showNotification(title, alert.description, alert.severity);
+        }
 
         // Emit event
         this.emit('alert', alert);
 
         console.log(`[Alerts] ${alert.severity}: ${alert.title}`);
+
+        // Save to storage. Updates wait on this so they know the record id;
+        // a failed save leaves `alert.id` unset and the alert only in memory.
+        // (saveAlert copies the alert before `saved` is attached.)
+        if (window.storageManager && window.storageManager.db) {
+            alert.saved = window.storageManager.saveAlert(alert)
+                .then(id => {
+                    alert.id = id;
+                    // Lists read from storage can show it now
+                    this.emit('alertUpdated', alert);
+                })
+                .catch(error => {
+                    console.error(`[Alerts] Failed to save alert ${alert.title}:`, error);
+                });
+        }
+    }
+
+    // Write changes to an open alert's record, if it was saved. Never throws:
+    // the alert itself carries on in memory.
+    async saveAlertChanges(alert, changes) {
+        await alert.saved;
+        if (alert.id === undefined) return;
+
+        try {
+            await window.storageManager.updateAlert(alert.id, changes);
+        } catch (error) {
+            console.error(`[Alerts] Failed to update alert ${alert.title}:`, error);
+        }
     }
 }
 
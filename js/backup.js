@@ -0,0 +1,329 @@
+/* ========================================
+   NURTHURE MONITOR - Backup & Restore
+   One versioned archive of the whole local
+   database, and restoring it on any tablet
+   ======================================== */
+
+class BackupManager {
+    constructor() {
+        this.format = 'nurthure-backup';
+        this.version = 1;
+
+        // Stores copied into an archive. Rollups are included because they
+        // cover much longer than the raw readings do.
+        this.stores = ['readings', 'alerts', 'sessions', 'rollups_minute', 'rollups_hour', 'settings'];
+
+        // Fields every record of a store must have
+        this.requiredFields = {
+            readings: ['timestamp'],
+            alerts: ['timestamp', 'severity'],
+            sessions: ['startedAt', 'deviceId'],
+            rollups_minute: ['deviceId', 'bucket'],
+            rollups_hour: ['deviceId', 'bucket'],
+            settings: ['key']
+        };
+
+        // Preferences kept in localStorage rather than the database.
+        // The Gemini API key is a secret and never leaves the tablet.
+        this.preferenceKeys = ['devices', 'activeDevice', 'caregiverName'];
+    }
+
+    // ========== BACKUP ==========
+
+    // Build an archive of everything stored locally
+    async createBackup() {
+        const storage = window.storageManager;
+        const stores = {};
+
+        for (const store of this.stores) {
+            stores[store] = await storage.getAllRecords(store);
+        }
+
+        const preferences = {};
+        this.preferenceKeys.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) preferences[key] = value;
+        });
+
+        return {
+            format: this.format,
+            version: this.version,
+            schemaVersion: storage.dbVersion,
+            created: new Date().toISOString(),
+            stores,
+            preferences
+        };
+    }
+
+    // Build an archive and download it
+    async downloadBackup() {
+        if (!window.storageManager || !window.storageManager.db) {
+            return null;
+        }
+
+        const archive = await this.createBackup();
+        const date = archive.created.slice(0, 10);
+        window.exportManager.downloadFile(JSON.stringify(archive), `nurthure-backup-${date}.json`, 'application/json');
+
+        return archive;
+    }
+
+    // ========== RESTORE ==========
+
+    // Parse an archive from a File. Throws if it isn't JSON.
+    async readFile(file) {
+        const text = await file.text();
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a backup file (invalid JSON)');
+        }
+    }
+
+    // Check an archive before restoring it: { valid, errors, counts }
+    validate(archive) {
+        const errors = [];
+        const counts = {};
+
+        if (!archive || typeof archive !== 'object' || archive.format !== this.format) {
+            return { valid: false, errors: ['Not a Nurthure backup file'], counts };
+        }
+        if (!Number.isInteger(archive.version) || archive.version > this.version) {
+            errors.push(`Backup format v${archive.version} is newer than this app supports (v${this.version})`);
+        }
+        if (archive.schemaVersion > window.storageManager.dbVersion) {
+            errors.push(`Backup comes from a newer database (v${archive.schemaVersion}) - update the app first`);
+        }
+        if (!archive.stores || typeof archive.stores !== 'object') {
+            errors.push('Backup has no data');
+            return { valid: false, errors, counts };
+        }
+
+        this.stores.forEach(store => {
+            const records = archive.stores[store];
+            if (records === undefined) {
+                counts[store] = 0;
+                return;
+            }
+            if (!Array.isArray(records)) {
+                errors.push(`${store} is not a list`);
+                return;
+            }
+
+            const bad = records.filter(record => !this.isValidRecord(store, record)).length;
+            if (bad > 0) {
+                errors.push(`${bad} ${store} record${bad === 1 ? ' is' : 's are'} missing required fields`);
+            }
+            counts[store] = records.length;
+        });
+
+        return { valid: errors.length === 0, errors, counts };
+    }
+
+    isValidRecord(store, record) {
+        if (!record || typeof record !== 'object') return false;
+
+        return this.requiredFields[store].every(field => {
+            const value = record[field];
+            return field === 'key' || field === 'deviceId' || field === 'severity'
+                ? typeof value === 'string' && value !== ''
+                : Number.isFinite(value);
+        });
+    }
+
+    // What identifies "the same record" on two tablets (ids don't - they're per database)
+    identify(store, record) {
+        const deviceId = record.deviceId || 'default';
+
+        switch (store) {
+            case 'readings':
+                return `${deviceId}:${record.timestamp}`;
+            case 'alerts':
+                return `${deviceId}:${record.title}:${record.timestamp}`;
+            case 'sessions':
+                return `${deviceId}:${record.startedAt}`;
+            case 'settings':
+                return record.key;
+            default:
+                return `${deviceId}:${record.bucket}`;
+        }
+    }
+
+    // Compare an archive with the local data. For each store: how many archive
+    // records are new and how many are already here. Settings that exist on
+    // both sides with different values are listed by key.
+    async findConflicts(archive) {
+        const report = { stores: {}, settings: [], preferences: [] };
+
+        for (const store of this.stores) {
+            const incoming = archive.stores[store] || [];
+            const local = await window.storageManager.getAllRecords(store);
+            const localByKey = new Map(local.map(record => [this.identify(store, record), record]));
+
+            let duplicates = 0;
+            incoming.forEach(record => {
+                const existing = localByKey.get(this.identify(store, record));
+                if (!existing) return;
+
+                duplicates++;
+                if (store === 'settings' && JSON.stringify(existing.value) !== JSON.stringify(record.value)) {
+                    report.settings.push(record.key);
+                }
+            });
+
+            report.stores[store] = {
+                incoming: incoming.length,
+                local: local.length,
+                duplicates,
+                added: incoming.length - duplicates
+            };
+        }
+
+        Object.entries(archive.preferences || {}).forEach(([key, value]) => {
+            const local = localStorage.getItem(key);
+            if (local !== null && local !== value) report.preferences.push(key);
+        });
+
+        return report;
+    }
+
+    // Restore an archive. 'merge' adds what isn't here yet and keeps local
+    // values where both sides differ; 'replace' swaps the local data for the
+    // archive's in one transaction, so a failed restore changes nothing.
+    // The page should be reloaded afterwards so every manager picks it up.
+    async restore(archive, mode = 'merge') {
+        const { valid, errors } = this.validate(archive);
+        if (!valid) {
+            throw new Error(errors.join('; '));
+        }
+
+        const storage = window.storageManager;
+        let restored = {};
+
+        if (mode === 'replace') {
+            const recordsByStore = {};
+            this.stores.forEach(store => {
+                recordsByStore[store] = (archive.stores[store] || []).map(record => this.normalize(store, record));
+            });
+            restored = await storage.replaceStores(recordsByStore);
+        } else {
+            restored = await this.merge(archive);
+        }
+
+        Object.entries(archive.preferences || {}).forEach(([key, value]) => {
+            if (!this.preferenceKeys.includes(key)) return;
+            if (mode === 'replace' || localStorage.getItem(key) === null) {
+                localStorage.setItem(key, value);
+            }
+        });
+
+        console.log(`[Backup] Restored (${mode})`, restored);
+        return restored;
+    }
+
+    // Add the archive's records that aren't here yet. Where both sides have
+    // the same rollup bucket the two are combined, less the readings both
+    // sides saw. Buckets whose readings are all still stored on both sides
+    // are then rebuilt from the readings themselves; older buckets keep the
+    // combined counts, since raw readings are purged long before rollups.
+    async merge(archive) {
+        const storage = window.storageManager;
+        const restored = {};
+
+        // Readings both sides have, and the oldest reading each side still
+        // stores per crib (older ones were purged but live on in rollups)
+        let duplicates = [];
+        const localOldest = {};
+        const archiveSpans = {};
+
+        for (const store of this.stores) {
+            const incoming = (archive.stores[store] || []).map(record => this.normalize(store, record));
+
+            const local = await storage.getAllRecords(store);
+            const localByKey = new Map(local.map(record => [this.identify(store, record), record]));
+            const toWrite = [];
+
+            if (store === 'readings') {
+                local.forEach(reading => {
+                    const deviceId = reading.deviceId || 'default';
+                    localOldest[deviceId] = Math.min(localOldest[deviceId] ?? Infinity, reading.timestamp);
+                });
+                incoming.forEach(reading => {
+                    const span = archiveSpans[reading.deviceId] ||
+                        (archiveSpans[reading.deviceId] = { start: reading.timestamp, end: reading.timestamp });
+                    span.start = Math.min(span.start, reading.timestamp);
+                    span.end = Math.max(span.end, reading.timestamp);
+                });
+                duplicates = incoming.filter(reading => localByKey.has(this.identify(store, reading)));
+            }
+
+            const overlap = store.startsWith('rollups_') ? this.rollupDuplicates(store, duplicates) : null;
+
+            incoming.forEach(record => {
+                const existing = localByKey.get(this.identify(store, record));
+
+                if (!existing) {
+                    // Let the database number it - the archive's id may be taken here
+                    const { id, ...rest } = record;
+                    toWrite.push(rest);
+                } else if (store.startsWith('rollups_') && !this.sameRollup(existing, record)) {
+                    // Same bucket on both: add up the readings each side saw,
+                    // then take out the ones they both counted
+                    const combined = storage.combineRollups(existing, record);
+                    const shared = overlap.get(this.identify(store, record));
+                    toWrite.push(shared ? storage.subtractRollups(combined, shared) : combined);
+                }
+            });
+
+            restored[store] = await storage.putRecords(store, toWrite);
+        }
+
+        // Rebuild from whole hours where neither side has purged a reading yet
+        const hour = storage.rollupResolutions.hour.size;
+        restored.rebuiltRollups = 0;
+        for (const [deviceId, span] of Object.entries(archiveSpans)) {
+            if (localOldest[deviceId] === undefined) continue;
+
+            const start = Math.ceil(Math.max(span.start, localOldest[deviceId]) / hour) * hour;
+            if (start <= span.end) {
+                restored.rebuiltRollups += await storage.rebuildRollups(start, span.end, deviceId);
+            }
+        }
+
+        return restored;
+    }
+
+    // Rollups of the readings both sides have, keyed like identify()
+    rollupDuplicates(store, readings) {
+        const storage = window.storageManager;
+        const { size } = Object.values(storage.rollupResolutions).find(resolution => resolution.store === store);
+        const rollups = new Map();
+
+        readings.forEach(reading => {
+            const bucket = storage.getBucket(reading.timestamp, size);
+            const key = this.identify(store, { deviceId: reading.deviceId, bucket });
+            if (!rollups.has(key)) rollups.set(key, storage.createRollup(reading.deviceId, bucket));
+            storage.addToRollup(rollups.get(key), reading);
+        });
+
+        return rollups;
+    }
+
+    // A bucket restored onto the tablet it was backed up from is already here
+    sameRollup(a, b) {
+        return a.count === b.count && JSON.stringify(a.values) === JSON.stringify(b.values) &&
+            JSON.stringify(a.states) === JSON.stringify(b.states);
+    }
+
+    // Records from before multi-device support belong to the original Pi
+    normalize(store, record) {
+        if ((store === 'readings' || store === 'alerts') && !record.deviceId) {
+            return { ...record, deviceId: 'default' };
+        }
+        return record;
+    }
+}
+
+// Create global instance
+window.backupManager = new BackupManager();
@@ -0,0 +1,733 @@
+/* ========================================
+   NURTHURE MONITOR - Trend Chart
+   Canvas chart on a time axis: one or more
+   line series, state swimlanes, crosshair
+   tooltip, zoom/pan, threshold bands and
+   alert markers
+   ======================================== */
+
+class TrendChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.options = {
+            plotHeight: 130,
+            ...options
+        };
+
+        this.padding = { top: 10, right: 10, bottom: 22, left: 48 };
+        this.laneHeight = 16;
+        this.laneGap = 4;
+
+        // Closest zoom: one minute across the chart
+        this.minSpan = 60 * 1000;
+
+        // Axis tick spacings to choose from, smallest first
+        this.timeSteps = [
+            60e3, 5 * 60e3, 15 * 60e3, 30 * 60e3,
+            3600e3, 3 * 3600e3, 6 * 3600e3, 12 * 3600e3,
+            86400e3, 2 * 86400e3, 7 * 86400e3
+        ];
+
+        // Line series: { label, points, color, unit, decimals, axis, dashed }.
+        // Series with the same `axis` key share a value scale, the others get
+        // their own; the first two scales get an axis (left, right).
+        this.series = [];
+        this.axes = [];
+        // State swimlanes: { label, segments: [{ start, end, state }], colors, labels }
+        this.lanes = [];
+        this.thresholds = null;
+        this.alerts = [];
+        this.timeRange = null;
+
+        // Full time window, and the zoomed part of it on screen
+        this.domain = null;
+        this.view = null;
+
+        this.hoverX = null;
+        this.pointers = new Map();
+        this.gesture = null;
+
+        this.listeners = {
+            zoom: []
+        };
+
+        this.attachEvents();
+    }
+
+    // Event system
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // ========== DATA ==========
+
+    // Line series and/or swimlanes on one time axis. Options: timeRange,
+    // start/end of the window, lanes, thresholds ({ min, max }, shaded when
+    // every series shares one scale) and alerts to mark.
+    setSeries(series, { timeRange = null, start, end, lanes = [], thresholds = null, alerts = [] } = {}) {
+        const rangeChanged = timeRange !== this.timeRange;
+
+        this.series = series.map(item => ({ decimals: 1, unit: '', ...item }));
+        this.lanes = lanes;
+        this.timeRange = timeRange;
+        this.thresholds = new Set(series.map((item, i) => item.axis ?? i)).size === 1 ? thresholds : null;
+        this.alerts = alerts;
+
+        const times = series.flatMap(item => item.points.length ? [item.points[0].x, item.points[item.points.length - 1].x] : []);
+        const domainStart = start ?? (times.length ? Math.min(...times) : Date.now());
+        const domainEnd = end ?? (times.length ? Math.max(...times) : Date.now());
+        this.domain = { start: domainStart, end: Math.max(domainEnd, domainStart + this.minSpan) };
+
+        // New range: zoom out. Same range refreshed: keep the zoom where it was.
+        if (rangeChanged || !this.view) {
+            this.view = { ...this.domain };
+        } else {
+            this.setView(this.view.start, this.view.end, false);
+        }
+
+        this.render();
+    }
+
+    isEmpty() {
+        return this.series.every(item => item.points.length === 0) &&
+            this.lanes.every(lane => lane.segments.length === 0);
+    }
+
+    isZoomed() {
+        return !!this.view && (this.view.start > this.domain.start || this.view.end < this.domain.end);
+    }
+
+    resetZoom() {
+        if (!this.domain) return;
+        this.setView(this.domain.start, this.domain.end);
+    }
+
+    // Show part of the domain, clamped to it and to the closest zoom
+    setView(start, end, notify = true) {
+        const domainSpan = this.domain.end - this.domain.start;
+        const span = Math.min(Math.max(end - start, Math.min(this.minSpan, domainSpan)), domainSpan);
+
+        start = Math.min(Math.max(start, this.domain.start), this.domain.end - span);
+        this.view = { start, end: start + span };
+
+        if (notify) {
+            this.render();
+            this.emit('zoom', { ...this.view, zoomed: this.isZoomed() });
+        }
+    }
+
+    // Zoom by `factor` (< 1 zooms in) keeping the time under `x` in place
+    zoomAt(x, factor) {
+        const time = this.xToTime(x);
+        const start = time - (time - this.view.start) * factor;
+        const end = time + (this.view.end - time) * factor;
+        this.setView(start, end);
+    }
+
+    // ========== LAYOUT & SCALES ==========
+
+    get width() {
+        return this.cssWidth - this.padding.left - this.padding.right;
+    }
+
+    // Height of the line plot (0 for a swimlane-only chart)
+    get height() {
+        return this.series.length > 0 ? this.options.plotHeight : 0;
+    }
+
+    get lanesTop() {
+        return this.padding.top + this.height + (this.height > 0 && this.lanes.length > 0 ? this.laneGap * 2 : 0);
+    }
+
+    // Bottom of the plot and lanes, where the time axis goes
+    get axisY() {
+        return this.lanesTop + this.lanes.length * (this.laneHeight + this.laneGap) - (this.lanes.length ? this.laneGap : 0);
+    }
+
+    get cssHeight() {
+        return this.axisY + this.padding.bottom;
+    }
+
+    timeToX(time) {
+        return this.padding.left + (time - this.view.start) / (this.view.end - this.view.start) * this.width;
+    }
+
+    xToTime(x) {
+        return this.view.start + (x - this.padding.left) / this.width * (this.view.end - this.view.start);
+    }
+
+    valueToY(value, series = this.series[0]) {
+        const { min, max } = series.scale;
+        return this.padding.top + (1 - (value - min) / (max - min)) * this.height;
+    }
+
+    // Round tick values: 1, 2 or 5 times a power of ten, about `count` of them
+    niceTicks(min, max, count = 4) {
+        const raw = (max - min) / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+
+        const ticks = [];
+        for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+            ticks.push(Math.round(value * 1e6) / 1e6);
+        }
+        return { ticks, step };
+    }
+
+    // Points inside the view, plus one either side so the line reaches the edges
+    visiblePoints(points) {
+        const first = points.findIndex(point => point.x >= this.view.start);
+        if (first === -1) return points.slice(-1);
+
+        let last = first;
+        while (last < points.length && points[last].x <= this.view.end) last++;
+
+        return points.slice(Math.max(0, first - 1), Math.min(points.length, last + 1));
+    }
+
+    // Value range of what's on screen, taking in the thresholds
+    computeScale(points, thresholds) {
+        let min = Infinity;
+        let max = -Infinity;
+        points.forEach(point => {
+            min = Math.min(min, point.min ?? point.y);
+            max = Math.max(max, point.max ?? point.y);
+        });
+
+        if (thresholds) {
+            ['min', 'max'].forEach(limit => {
+                const value = thresholds[limit];
+                if (typeof value === 'number') {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            });
+        }
+
+        if (!Number.isFinite(min)) return { min: 0, max: 1, ticks: [] };
+
+        const pad = (max - min) * 0.1 || Math.abs(max) * 0.1 || 1;
+        const { ticks } = this.niceTicks(min - pad, max + pad);
+
+        return {
+            min: Math.min(min - pad, ticks[0]),
+            max: Math.max(max + pad, ticks[ticks.length - 1]),
+            ticks
+        };
+    }
+
+    // ========== DRAWING ==========
+
+    render() {
+        const ctx = this.ctx;
+        const dpr = window.devicePixelRatio || 1;
+
+        this.cssWidth = Math.max(this.canvas.parentElement.clientWidth - 32, 100);
+        const height = this.domain && !this.isEmpty() ? this.cssHeight : this.options.plotHeight;
+        this.canvas.width = this.cssWidth * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.width = this.cssWidth + 'px';
+        this.canvas.style.height = height + 'px';
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, this.cssWidth, height);
+
+        if (!this.domain || this.isEmpty()) {
+            ctx.fillStyle = '#9ca3af';
+            ctx.font = '12px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No data available', this.cssWidth / 2, height / 2);
+            return;
+        }
+
+        const axes = new Map();
+        this.series.forEach((item, i) => {
+            item.visible = this.visiblePoints(item.points);
+            const key = item.axis ?? i;
+            if (!axes.has(key)) axes.set(key, { color: item.color, series: [] });
+            axes.get(key).series.push(item);
+        });
+        this.axes = [...axes.values()];
+        this.axes.forEach(axis => {
+            axis.scale = this.computeScale(axis.series.flatMap(item => item.visible), this.thresholds);
+            axis.series.forEach(item => { item.scale = axis.scale; });
+        });
+
+        // A second scale gets its axis on the right
+        this.padding.right = this.axes.length > 1 ? 44 : 10;
+
+        if (this.height > 0) {
+            this.drawThresholds();
+            this.drawValueAxes();
+        }
+        this.drawLanes();
+        this.drawTimeAxis();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(this.padding.left, this.padding.top, this.width, this.axisY - this.padding.top);
+        ctx.clip();
+        this.series.forEach(item => {
+            // About one point per 2px, each keeping its bucket's min/max
+            const display = window.trendsManager.downsample(
+                { points: item.visible, values: item.visible.map(p => p.y), timestamps: item.visible.map(p => p.x) },
+                Math.max(Math.round(this.width / 2), 2)
+            ).points;
+            this.drawSeries(item, display);
+        });
+        this.drawAlerts();
+        ctx.restore();
+
+        this.drawCrosshair();
+    }
+
+    // Shade the alarm zones above max and below min
+    drawThresholds() {
+        if (!this.thresholds) return;
+
+        const ctx = this.ctx;
+        const left = this.padding.left;
+        const top = this.padding.top;
+        const bottom = top + this.height;
+
+        // From the threshold line out to the chart edge (`edge`)
+        const band = (value, edge) => {
+            const y = Math.min(Math.max(this.valueToY(value), top), bottom);
+
+            ctx.fillStyle = 'rgba(255, 23, 68, 0.07)';
+            ctx.fillRect(left, Math.min(y, edge), this.width, Math.abs(edge - y));
+
+            ctx.strokeStyle = 'rgba(255, 23, 68, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + this.width, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+
+        if (typeof this.thresholds.max === 'number') band(this.thresholds.max, top);
+        if (typeof this.thresholds.min === 'number') band(this.thresholds.min, bottom);
+    }
+
+    // Grid and labels from the first scale on the left; the second scale's
+    // labels on the right, in its series' colour
+    drawValueAxes() {
+        const ctx = this.ctx;
+        const top = this.padding.top;
+        const bottom = top + this.height;
+        const overlay = this.axes.length > 1;
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textBaseline = 'middle';
+
+        this.axes.slice(0, 2).forEach((axis, i) => {
+            ctx.textAlign = i === 0 ? 'right' : 'left';
+            ctx.fillStyle = overlay ? axis.color : '#9ca3af';
+
+            axis.scale.ticks.forEach(value => {
+                const y = this.valueToY(value, axis.series[0]);
+                if (y < top - 1 || y > bottom + 1) return;
+
+                if (i === 0) {
+                    ctx.strokeStyle = '#e5e7eb';
+                    ctx.setLineDash([2, 4]);
+                    ctx.lineWidth = 1;
+                    ctx.beginPath();
+                    ctx.moveTo(this.padding.left, y);
+                    ctx.lineTo(this.padding.left + this.width, y);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+
+                const x = i === 0 ? this.padding.left - 6 : this.padding.left + this.width + 6;
+                ctx.fillText(String(value), x, y);
+            });
+        });
+    }
+
+    drawTimeAxis() {
+        const ctx = this.ctx;
+        const span = this.view.end - this.view.start;
+
+        // About one label per 70px
+        const wanted = span / Math.max(this.width / 70, 1);
+        const step = this.timeSteps.find(s => s >= wanted) || this.timeSteps[this.timeSteps.length - 1];
+
+        // Align ticks to local time (midnight for day steps)
+        const offset = new Date(this.view.start).getTimezoneOffset() * 60e3;
+        let tick = Math.ceil((this.view.start - offset) / step) * step + offset;
+
+        const y = this.axisY;
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#9ca3af';
+        ctx.strokeStyle = '#e5e7eb';
+
+        ctx.beginPath();
+        ctx.moveTo(this.padding.left, y);
+        ctx.lineTo(this.padding.left + this.width, y);
+        ctx.stroke();
+
+        for (; tick <= this.view.end; tick += step) {
+            const x = this.timeToX(tick);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x, y + 3);
+            ctx.stroke();
+            ctx.fillText(window.trendsManager.formatTimestamp(tick, this.labelRange(step)), x, y + 6);
+        }
+    }
+
+    // Time range key whose label format suits ticks `step` apart
+    labelRange(step) {
+        return step < 86400e3 ? '24h' : '7d';
+    }
+
+    drawSeries(series, points) {
+        const ctx = this.ctx;
+        const color = series.color;
+        const bottom = this.padding.top + this.height;
+        if (points.length === 0) return;
+
+        // Min-max envelope (downsampled or rollup points) as a band behind the
+        // mean. Dashed series (a comparison) are the line alone.
+        const envelope = !series.dashed && points.length > 1 &&
+            points.some(point => point.min !== undefined && point.min !== point.max);
+        if (envelope) {
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                const x = this.timeToX(point.x);
+                const y = this.valueToY(point.max ?? point.y, series);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            for (let i = points.length - 1; i >= 0; i--) {
+                ctx.lineTo(this.timeToX(points[i].x), this.valueToY(points[i].min ?? points[i].y, series));
+            }
+            ctx.closePath();
+            ctx.fillStyle = color + '33';
+            ctx.fill();
+        }
+
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const x = this.timeToX(point.x);
+            const y = this.valueToY(point.y, series);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = series.dashed ? 1.5 : 2;
+        if (series.dashed) ctx.setLineDash([5, 4]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Fill under a lone series without an envelope; overlaid ones would hide each other
+        if (this.series.length === 1 && !envelope) {
+            ctx.lineTo(this.timeToX(points[points.length - 1].x), bottom);
+            ctx.lineTo(this.timeToX(points[0].x), bottom);
+            ctx.closePath();
+
+            const gradient = ctx.createLinearGradient(0, this.padding.top, 0, bottom);
+            gradient.addColorStop(0, color + '33');
+            gradient.addColorStop(1, color + '08');
+            ctx.fillStyle = gradient;
+            ctx.fill();
+        }
+
+        if (points.length === 1) {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(this.timeToX(points[0].x), this.valueToY(points[0].y, series), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // One row per state sensor, coloured by state over time
+    drawLanes() {
+        const ctx = this.ctx;
+        const left = this.padding.left;
+
+        this.lanes.forEach((lane, i) => {
+            const top = this.lanesTop + i * (this.laneHeight + this.laneGap);
+
+            ctx.font = '10px Inter, sans-serif';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#9ca3af';
+            ctx.fillText(lane.label, left - 6, top + this.laneHeight / 2);
+
+            ctx.fillStyle = '#f3f4f6';
+            ctx.fillRect(left, top, this.width, this.laneHeight);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(left, top, this.width, this.laneHeight);
+            ctx.clip();
+            lane.segments.forEach(segment => {
+                if (segment.end < this.view.start || segment.start > this.view.end) return;
+
+                const x = this.timeToX(segment.start);
+                // At least a pixel, so short states stay visible when zoomed out
+                const width = Math.max(this.timeToX(segment.end) - x, 1);
+                ctx.fillStyle = lane.colors?.[segment.state] || '#9ca3af';
+                ctx.fillRect(x, top, width, this.laneHeight);
+            });
+            ctx.restore();
+        });
+    }
+
+    // A line and a flag on top for each alert in view
+    drawAlerts() {
+        const ctx = this.ctx;
+        const top = this.padding.top;
+
+        this.alerts.forEach(alert => {
+            if (alert.timestamp < this.view.start || alert.timestamp > this.view.end) return;
+
+            const x = this.timeToX(alert.timestamp);
+            const color = alert.severity === 'CRITICAL' ? '#ff1744' : '#ffc107';
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 2]);
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, this.axisY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x - 4, top);
+            ctx.lineTo(x + 4, top);
+            ctx.lineTo(x, top + 6);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    // Vertical line at the pointer, a dot on each series' nearest point and
+    // a tooltip with every series value and lane state at that time
+    drawCrosshair() {
+        if (this.hoverX === null) return;
+
+        const ctx = this.ctx;
+        const time = this.xToTime(this.hoverX);
+        const labelled = this.series.length + this.lanes.length > 1;
+        const lines = [];
+        let x = this.hoverX;
+        let anchorTime = time;
+
+        this.series.forEach((item, i) => {
+            const point = item.visible.length ? this.nearestPoint(item.visible, time) : null;
+            if (!point) return;
+
+            // Snap to the first series' point
+            if (i === 0) {
+                x = this.timeToX(point.x);
+                anchorTime = point.x;
+            }
+
+            const y = this.valueToY(point.y, item);
+            ctx.fillStyle = item.color;
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(this.timeToX(point.x), y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            let line = this.formatValue(point.y, item.decimals) + (item.unit ? ` ${item.unit}` : '');
+            if (point.min !== undefined && point.max !== undefined) {
+                line += ` (${this.formatValue(point.min, item.decimals)}–${this.formatValue(point.max, item.decimals)})`;
+            }
+            lines.push(labelled ? `${item.label}: ${line}` : line);
+        });
+
+        this.lanes.forEach(lane => {
+            const segment = lane.segments.find(s => anchorTime >= s.start && anchorTime < s.end);
+            const state = segment ? (lane.labels?.[segment.state] || segment.state) : '--';
+            lines.push(`${lane.label}: ${state}`);
+        });
+
+        if (x < this.padding.left || x > this.padding.left + this.width) return;
+
+        ctx.strokeStyle = '#6b7280';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, this.padding.top);
+        ctx.lineTo(x, this.axisY);
+        ctx.stroke();
+
+        lines.push(this.formatTime(anchorTime));
+
+        // Alerts within a few pixels of the crosshair
+        this.alerts
+            .filter(alert => Math.abs(this.timeToX(alert.timestamp) - x) <= 6)
+            .forEach(alert => lines.push(`⚠ ${alert.title}`));
+
+        this.drawTooltip(x, lines);
+    }
+
+    drawTooltip(x, lines) {
+        const ctx = this.ctx;
+        ctx.font = '11px Inter, sans-serif';
+
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const height = lines.length * 14 + 8;
+
+        // Beside the crosshair, flipped near the right edge
+        let left = x + 8;
+        if (left + width > this.cssWidth - 2) left = x - 8 - width;
+        left = Math.max(left, 2);
+        const top = this.padding.top + 2;
+
+        ctx.fillStyle = 'rgba(31, 41, 55, 0.9)';
+        ctx.beginPath();
+        if (ctx.roundRect) ctx.roundRect(left, top, width, height, 4);
+        else ctx.rect(left, top, width, height);
+        ctx.fill();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, left + 6, top + 5 + i * 14));
+    }
+
+    nearestPoint(points, time) {
+        let low = 0;
+        let high = points.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].x < time) low = mid + 1;
+            else high = mid;
+        }
+
+        const before = points[low - 1];
+        const after = points[low];
+        if (!before) return after;
+        if (!after) return before;
+        return time - before.x < after.x - time ? before : after;
+    }
+
+    formatValue(value, decimals) {
+        return Number(value).toFixed(decimals).replace(/\.0+$/, '');
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+    }
+
+    // ========== INTERACTION ==========
+
+    // Mouse: hover for the crosshair, drag to pan, wheel to zoom.
+    // Touch: drag for the crosshair (or to pan once zoomed), pinch to zoom.
+    // Double-click / double-tap zooms back out.
+    attachEvents() {
+        const canvas = this.canvas;
+        const localX = (event) => event.clientX - canvas.getBoundingClientRect().left;
+
+        canvas.addEventListener('pointerdown', (event) => {
+            canvas.setPointerCapture?.(event.pointerId);
+            this.pointers.set(event.pointerId, localX(event));
+
+            if (this.pointers.size === 2) {
+                const [a, b] = [...this.pointers.values()];
+                this.gesture = { type: 'pinch', distance: Math.abs(a - b) || 1, view: { ...this.view }, center: (a + b) / 2 };
+                this.hoverX = null;
+            } else if (this.pointers.size === 1) {
+                this.gesture = { type: 'press', startX: localX(event), view: this.view && { ...this.view }, pointerType: event.pointerType };
+                if (event.pointerType !== 'mouse' && !this.isZoomed()) {
+                    this.setHover(localX(event));
+                }
+            }
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!this.view) return;
+            const x = localX(event);
+
+            if (!this.pointers.has(event.pointerId)) {
+                // Mouse hover
+                this.setHover(x);
+                return;
+            }
+            this.pointers.set(event.pointerId, x);
+
+            if (this.gesture?.type === 'pinch' && this.pointers.size === 2) {
+                const [a, b] = [...this.pointers.values()];
+                const { view, center, distance } = this.gesture;
+                const factor = distance / (Math.abs(a - b) || 1);
+                const centerTime = view.start + (center - this.padding.left) / this.width * (view.end - view.start);
+                this.setView(centerTime - (centerTime - view.start) * factor, centerTime + (view.end - centerTime) * factor);
+                return;
+            }
+
+            if (this.gesture?.type === 'press' || this.gesture?.type === 'pan') {
+                const moved = x - this.gesture.startX;
+                const canPan = this.isZoomed() && (this.gesture.type === 'pan' || Math.abs(moved) > 4);
+
+                if (canPan) {
+                    this.gesture.type = 'pan';
+                    this.hoverX = null;
+                    const { view } = this.gesture;
+                    const shift = moved / this.width * (view.end - view.start);
+                    this.setView(view.start - shift, view.end - shift);
+                } else {
+                    this.setHover(x);
+                }
+            }
+        });
+
+        const release = (event) => {
+            this.pointers.delete(event.pointerId);
+            if (this.pointers.size === 0) {
+                this.gesture = null;
+                if (event.pointerType !== 'mouse') this.setHover(null);
+            } else if (this.gesture?.type === 'pinch') {
+                // One finger lifted: carry on as a pan from here
+                const [x] = [...this.pointers.values()];
+                this.gesture = { type: 'pan', startX: x, view: { ...this.view } };
+            }
+        };
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+        canvas.addEventListener('pointerleave', (event) => {
+            if (event.pointerType === 'mouse') this.setHover(null);
+        });
+
+        canvas.addEventListener('wheel', (event) => {
+            if (!this.view) return;
+            event.preventDefault();
+            this.zoomAt(localX(event), event.deltaY > 0 ? 1.25 : 0.8);
+        }, { passive: false });
+
+        canvas.addEventListener('dblclick', () => this.resetZoom());
+    }
+
+    setHover(x) {
+        if (x !== null && (x < this.padding.left || x > this.padding.left + this.width)) x = null;
+        if (x === this.hoverX) return;
+
+        this.hoverX = x;
+        if (this.domain) this.render();
+    }
+}
+
+window.TrendChart = TrendChart;
@@ -3,23 +3,245 @@
    Handles Raspberry Pi connectivity
    ======================================== */
 
+/* ---------- Transports ----------
+   Each transport delivers readings to the manager and reports
+   failures back to it. Streams report whether they ever opened so
+   the manager can fall back to the next transport in line. */
+
+// Request/response polling of GET /readings
+class PollingTransport {
+    constructor(manager) {
+        this.manager = manager;
+        this.name = 'polling';
+        this.active = false;
+        this.timer = null;
+    }
+
+    start() {
+        this.active = true;
+        this.poll();
+    }
+
+    stop() {
+        this.active = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        let delay = this.manager.pollInterval;
+
+        if (this.manager.state === 'backing-off') {
+            this.manager.setState('connecting');
+        }
+
+        try {
+            const reading = await this.manager.fetchReadings();
+            if (this.active && reading) {
+                this.manager.handleReading(reading);
+            }
+        } catch (error) {
+            if (this.active) {
+                delay = this.manager.handleError(error);
+            }
+        }
+
+        // Schedule next poll (backed off after repeated failures)
+        if (this.active) {
+            this.timer = setTimeout(() => this.poll(), delay);
+        }
+    }
+}
+
+// Shared plumbing for push transports (WebSocket, SSE)
+class StreamTransport {
+    constructor(manager, name) {
+        this.manager = manager;
+        this.name = name;
+        this.opened = false;
+        this.watchdog = null;
+    }
+
+    start() {
+        this.opened = false;
+        try {
+            this.connect();
+        } catch (error) {
+            this.fail(error);
+            return;
+        }
+
+        // Covers both a connect that never completes and a stream that goes quiet
+        this.resetWatchdog();
+    }
+
+    stop() {
+        if (this.watchdog) {
+            clearTimeout(this.watchdog);
+            this.watchdog = null;
+        }
+        this.disconnect();
+    }
+
+    handleOpen() {
+        this.opened = true;
+        this.resetWatchdog();
+        this.manager.handleTransportOpen(this);
+    }
+
+    handleMessage(raw) {
+        this.resetWatchdog();
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            // A bad message is not a broken link - report it without changing state
+            this.manager.emit('error', {
+                message: `Malformed ${this.name} message`,
+                retries: this.manager.currentRetries
+            });
+            return;
+        }
+
+        this.manager.handleReading(this.manager.normalizeReading(data));
+    }
+
+    fail(error) {
+        const wasOpen = this.opened;
+        this.stop();
+        this.manager.handleTransportClosed(this, error, wasOpen);
+    }
+
+    resetWatchdog() {
+        if (this.watchdog) clearTimeout(this.watchdog);
+        this.watchdog = setTimeout(
+            () => this.fail(new Error(`${this.name} stream timed out`)),
+            this.manager.streamTimeout
+        );
+    }
+}
+
+// WebSocket stream: one JSON reading per message
+class WebSocketTransport extends StreamTransport {
+    constructor(manager) {
+        super(manager, 'websocket');
+        this.socket = null;
+    }
+
+    connect() {
+        if (!('WebSocket' in window)) {
+            throw new Error('WebSocket not supported');
+        }
+
+        const url = this.manager.url.replace(/^http/, 'ws') + this.manager.endpoints.websocket;
+        this.socket = new WebSocket(url);
+        this.socket.onopen = () => this.handleOpen();
+        this.socket.onmessage = (event) => this.handleMessage(event.data);
+        this.socket.onclose = () => this.fail(new Error('WebSocket closed'));
+    }
+
+    disconnect() {
+        if (this.socket) {
+            this.socket.onopen = null;
+            this.socket.onmessage = null;
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+// Server-Sent Events stream: one JSON reading per "message" event
+class EventSourceTransport extends StreamTransport {
+    constructor(manager) {
+        super(manager, 'sse');
+        this.source = null;
+    }
+
+    connect() {
+        if (!('EventSource' in window)) {
+            throw new Error('EventSource not supported');
+        }
+
+        this.source = new EventSource(this.manager.url + this.manager.endpoints.sse);
+        this.source.onopen = () => this.handleOpen();
+        this.source.onmessage = (event) => this.handleMessage(event.data);
+        // EventSource retries on its own; we close it and let the manager decide
+        this.source.onerror = () => this.fail(new Error('Event stream error'));
+    }
+
+    disconnect() {
+        if (this.source) {
+            this.source.onopen = null;
+            this.source.onmessage = null;
+            this.source.onerror = null;
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+// One instance per Pi unit. Settings are owned by the DeviceRegistry.
 class ConnectionManager {
-    constructor() {
+    constructor(device = {}) {
+        this.deviceId = device.id || 'default';
+        this.deviceName = device.name || 'Crib';
         this.isConnected = false;
-        this.piAddress = localStorage.getItem('piAddress') || '192.168.4.1';
-        this.piPort = localStorage.getItem('piPort') || '80';
-        this.pollInterval = parseInt(localStorage.getItem('pollInterval')) || 2000;
-        this.retryDelay = 5000;
-        this.maxRetries = 3;
+        this.piAddress = device.address || '192.168.4.1';
+        this.piPort = device.port || '80';
+        this.pollInterval = device.pollInterval || 2000;
+        this.retryDelay = 5000;       // First backoff delay, doubled per attempt
+        this.maxRetryDelay = 60000;   // Backoff ceiling
+        this.maxRetries = 3;          // Fast retries at pollInterval before backing off
         this.currentRetries = 0;
-        this.pollTimer = null;
+        this.nextRetryAt = null;
+        this.hasConnected = false;
+
+        // connecting -> connected -> degraded -> backing-off, plus offline
+        // (stopped, or the browser itself has no network)
+        this.state = 'offline';
+        this.transportMode = device.transportMode || 'auto';
+        this.endpoints = {
+            readings: '/readings',
+            history: '/readings/history',
+            websocket: '/stream',
+            sse: '/events'
+        };
+        this.streamTimeout = 10000;       // Stream considered dead after 10s of silence
+        this.streamProbeInterval = 60000; // While on fallback polling, retry the stream every minute
+        this.transport = null;
+        this.transportIndex = 0;
+        this.probe = null;
+        this.probeTimer = null;
+        this.reconnectTimer = null;
+        this.running = false;
         this.lastReading = null;
+        this.freshness = new FreshnessTracker();
+        this.invalidCount = 0;    // Readings with at least one rejected field
+        this.lastInvalid = null;
         this.listeners = {
             connected: [],
             disconnected: [],
             data: [],
-            error: []
+            error: [],
+            reconnecting: [],
+            stateChange: [],
+            invalidReading: []
+        };
+
+        // No point burning retries while the browser has no network at all.
+        // Kept so destroy() can remove them.
+        this.handleOffline = () => {
+            if (this.running) this.goOffline();
+        };
+        this.handleOnline = () => {
+            if (this.state === 'offline' && this.wasRunning) this.retryNow();
         };
+        window.addEventListener('offline', this.handleOffline);
+        window.addEventListener('online', this.handleOnline);
     }
 
     // Get the full URL to the Pi
@@ -46,58 +268,237 @@ class ConnectionManager {
         }
     }
 
-    // Configure connection settings
-    configure(address, port, interval) {
+    // Configure connection settings (persisted by the DeviceRegistry)
+    configure(address, port, interval, transportMode = this.transportMode) {
         this.piAddress = address;
         this.piPort = port;
         this.pollInterval = interval;
+        this.transportMode = transportMode;
 
-        localStorage.setItem('piAddress', address);
-        localStorage.setItem('piPort', port);
-        localStorage.setItem('pollInterval', interval.toString());
-
-        // Restart polling with new settings
+        // Restart with new settings
         this.stop();
         this.start();
     }
 
-    // Start polling for data
+    // Transports to try, in order of preference. Polling is always the last resort.
+    getTransportOrder() {
+        switch (this.transportMode) {
+            case 'websocket':
+                return ['websocket', 'polling'];
+            case 'sse':
+                return ['sse', 'polling'];
+            case 'polling':
+                return ['polling'];
+            default:
+                return ['websocket', 'sse', 'polling'];
+        }
+    }
+
+    createTransport(name) {
+        switch (name) {
+            case 'websocket':
+                return new WebSocketTransport(this);
+            case 'sse':
+                return new EventSourceTransport(this);
+            default:
+                return new PollingTransport(this);
+        }
+    }
+
+    // Move to a new connection state
+    setState(state) {
+        if (state === this.state) return;
+
+        const previous = this.state;
+        this.state = state;
+        this.emit('stateChange', { deviceId: this.deviceId, state, previous });
+        console.log(`[Connection] ${this.deviceName}: ${previous} -> ${state}`);
+    }
+
+    // Start receiving data
     start() {
-        console.log(`[Connection] Starting polling to ${this.url}`);
-        this.poll();
+        this.teardown();
+        this.running = true;
+        this.wasRunning = true;
+        this.setState('connecting');
+        console.log(`[Connection] Connecting to ${this.url} (${this.transportMode})`);
+        this.openTransport(0);
     }
 
-    // Stop polling
+    // Reset backoff and reconnect immediately
+    retryNow() {
+        this.currentRetries = 0;
+        this.nextRetryAt = null;
+        this.start();
+    }
+
+    // Browser lost its network - park until it comes back
+    goOffline() {
+        this.stop();
+        this.wasRunning = true;
+
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.lastReading = null;
+            this.emit('disconnected', { deviceId: this.deviceId, error: 'Network offline' });
+        }
+    }
+
+    // Stop all transports and timers
     stop() {
-        if (this.pollTimer) {
-            clearTimeout(this.pollTimer);
-            this.pollTimer = null;
+        this.running = false;
+        this.wasRunning = false;
+        this.nextRetryAt = null;
+        this.setState('offline');
+        this.teardown();
+    }
+
+    // Close the transport, probe and retry timer without touching the state,
+    // so a restart goes straight to 'connecting'
+    teardown() {
+        if (this.transport) {
+            this.transport.stop();
+            this.transport = null;
+        }
+
+        this.stopProbe();
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
         }
     }
 
-    // Single poll attempt
-    async poll() {
-        try {
-            const reading = await this.fetchReadings();
-
-            if (reading) {
-                // Success - we're connected
-                if (!this.isConnected) {
-                    this.isConnected = true;
-                    this.currentRetries = 0;
-                    this.emit('connected', { address: this.piAddress });
-                    console.log('[Connection] Connected to Pi');
-                }
+    // Stop for good and let go of the window listeners (the crib was removed)
+    destroy() {
+        this.stop();
+        window.removeEventListener('offline', this.handleOffline);
+        window.removeEventListener('online', this.handleOnline);
+    }
+
+    openTransport(index) {
+        const order = this.getTransportOrder();
+        this.transportIndex = index;
+        this.transport = this.createTransport(order[index]);
+        console.log(`[Connection] Using ${this.transport.name} transport`);
+        this.transport.start();
 
-                this.lastReading = reading;
-                this.emit('data', reading);
+        if (this.transport.name === 'polling' && order.length > 1) {
+            this.startProbe();
+        }
+    }
+
+    // A stream transport finished its handshake
+    handleTransportOpen(transport) {
+        if (transport === this.probe) {
+            // Stream came back while we were polling - switch over
+            console.log(`[Connection] ${transport.name} available again, leaving polling`);
+
+            // Detach the probe without stopping it - it is the new live stream
+            clearInterval(this.probeTimer);
+            this.probeTimer = null;
+            this.probe = null;
+
+            this.transport.stop();
+            this.transport = transport;
+            this.transportIndex = 0;
+        }
+    }
+
+    // A stream transport failed or closed
+    handleTransportClosed(transport, error, wasOpen) {
+        if (transport === this.probe) {
+            this.probe = null;
+            return;
+        }
+
+        if (transport !== this.transport || !this.running) return;
+
+        const order = this.getTransportOrder();
+
+        if (!wasOpen && this.transportIndex < order.length - 1) {
+            // Stream not offered by this Pi (or not reachable) - fall back
+            console.log(`[Connection] ${transport.name} unavailable (${error.message}), falling back`);
+            this.openTransport(this.transportIndex + 1);
+            return;
+        }
+
+        const delay = this.handleError(error);
+
+        // Stream dropped after working - start over from the preferred transport
+        this.transport = null;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.running) {
+                if (this.state === 'backing-off') this.setState('connecting');
+                this.openTransport(0);
             }
-        } catch (error) {
-            this.handleError(error);
+        }, delay);
+    }
+
+    // Periodically try the preferred stream while polling as a fallback
+    startProbe() {
+        this.stopProbe();
+        this.probeTimer = setInterval(() => {
+            if (this.probe) return;
+            const preferred = this.getTransportOrder()[0];
+            this.probe = this.createTransport(preferred);
+            this.probe.start();
+        }, this.streamProbeInterval);
+    }
+
+    stopProbe() {
+        if (this.probeTimer) {
+            clearInterval(this.probeTimer);
+            this.probeTimer = null;
         }
+        if (this.probe) {
+            this.probe.stop();
+            this.probe = null;
+        }
+    }
 
-        // Schedule next poll
-        this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+    // Deliver a normalized reading from whichever transport is active
+    handleReading(reading) {
+        if (!reading) return;
+
+        // Success - we're connected
+        this.currentRetries = 0;
+        this.nextRetryAt = null;
+        this.hasConnected = true;
+        this.setState('connected');
+
+        if (!this.isConnected) {
+            this.freshness.reset();
+            this.isConnected = true;
+            this.emit('connected', {
+                deviceId: this.deviceId,
+                address: this.piAddress,
+                transport: this.transport?.name
+            });
+            console.log(`[Connection] Connected to Pi via ${this.transport?.name}`);
+        }
+
+        if (reading.invalid.length > 0) {
+            this.invalidCount++;
+            this.lastInvalid = {
+                timestamp: reading.timestamp,
+                errors: reading.validationErrors
+            };
+            this.emit('invalidReading', {
+                deviceId: this.deviceId,
+                timestamp: reading.timestamp,
+                errors: reading.validationErrors,
+                count: this.invalidCount
+            });
+            console.warn(`[Connection] ${this.deviceName}: invalid fields`, reading.invalid.join(', '));
+        }
+
+        // Per-sensor dropouts (reading.stale) - the link is fine but a sensor isn't
+        this.freshness.update(reading);
+
+        this.lastReading = reading;
+        this.emit('data', reading);
     }
 
     // Fetch readings from Pi
@@ -106,7 +507,7 @@ class ConnectionManager {
         const timeout = setTimeout(() => controller.abort(), 5000);
 
         try {
-            const response = await fetch(`${this.url}/readings`, {
+            const response = await fetch(`${this.url}${this.endpoints.readings}`, {
                 method: 'GET',
                 signal: controller.signal,
                 headers: {
@@ -128,51 +529,139 @@ class ConnectionManager {
         }
     }
 
-    // Normalize reading data to consistent format
+    // Readings the Pi logged since `since` (ms), oldest first, as the Pi sent
+    // them. Asks for `limit` at a time and hands each page to `onPage` (which
+    // may be async) before asking for the next, until the Pi runs out, so a
+    // long history is never held at once. Resolves with the number received.
+    async fetchHistory(since, onPage, limit = 1000) {
+        let received = 0;
+        let from = since;
+
+        for (;;) {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), 15000);
+
+            let page;
+            try {
+                const response = await fetch(`${this.url}${this.endpoints.history}?since=${from}&limit=${limit}`, {
+                    method: 'GET',
+                    signal: controller.signal,
+                    headers: {
+                        'Accept': 'application/json'
+                    }
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const data = await response.json();
+                page = Array.isArray(data) ? data : (data.readings || []);
+            } finally {
+                clearTimeout(timeout);
+            }
+
+            received += page.length;
+            await onPage(page);
+
+            // A short page is the last one; a page that doesn't move forward would loop
+            const times = page
+                .filter(data => data.timestamp !== undefined && data.timestamp !== null)
+                .map(data => window.readingSchema.validateTimestamp(data.timestamp, Date.now()))
+                .filter(result => !result.error)
+                .map(result => result.value);
+            const last = Math.max(from, ...times);
+            if (page.length < limit || last <= from) break;
+            from = last;
+        }
+
+        return received;
+    }
+
+    // Normalize reading data to consistent format. Every field goes through the
+    // reading schema: anything malformed or implausible becomes null and is
+    // listed in reading.invalid instead of being replaced with a default.
     normalizeReading(data) {
-        return {
-            timestamp: data.timestamp || Date.now(),
+        const schema = window.readingSchema;
+        const errors = [];
+        const env = data.environment || {};
+
+        const check = (field, raw) => {
+            const result = schema.validateField(field, raw);
+            if (result.error) errors.push(result.error);
+            return result.value;
+        };
+
+        const version = schema.validateVersion(data);
+        if (version.error) errors.push(version.error);
+
+        const timestamp = schema.validateTimestamp(data.timestamp, Date.now());
+        if (timestamp.error) errors.push(timestamp.error);
+
+        const bodyTempUnit = data.body_temp?.unit || 'C';
+        const envTempUnit = env.temp?.unit || 'C';
+
+        const reading = {
+            deviceId: this.deviceId,
+            schemaVersion: version.value,
+            timestamp: timestamp.value,
             respiration: {
-                value: data.respiration?.value ?? null,
+                value: check('respiration.value', data.respiration?.value),
                 unit: data.respiration?.unit || 'rpm',
-                confidence: data.respiration?.confidence ?? 1
+                confidence: check('respiration.confidence', data.respiration?.confidence)
             },
             audio: {
-                state: data.audio?.state || 'unknown',
-                level: data.audio?.level ?? 0
+                state: check('audio.state', data.audio?.state),
+                level: check('audio.level', data.audio?.level)
             },
             bodyTemp: {
-                value: data.body_temp?.value ?? null,
-                unit: data.body_temp?.unit || 'C'
+                value: check('bodyTemp.value', schema.toCelsius(data.body_temp?.value, bodyTempUnit)),
+                unit: 'C'
             },
             posture: {
-                state: data.posture?.state || 'unknown',
-                confidence: data.posture?.confidence ?? 1
+                state: check('posture.state', data.posture?.state),
+                confidence: check('posture.confidence', data.posture?.confidence)
             },
             radar: {
-                active: data.radar?.active ?? false,
-                movement: data.radar?.movement ?? 0
+                active: check('radar.active', data.radar?.active),
+                movement: check('radar.movement', data.radar?.movement)
             },
             environment: {
                 temp: {
-                    value: data.environment?.temp?.value ?? data.environment?.temp ?? null,
-                    unit: data.environment?.temp?.unit || 'C'
+                    value: check('environment.temp.value', schema.toCelsius(env.temp?.value ?? env.temp, envTempUnit)),
+                    unit: 'C'
                 },
                 co2: {
-                    value: data.environment?.co2?.value ?? data.environment?.co2 ?? null,
-                    unit: data.environment?.co2?.unit || 'ppm'
+                    value: check('environment.co2.value', env.co2?.value ?? env.co2),
+                    unit: env.co2?.unit || 'ppm'
                 },
                 voc: {
-                    value: data.environment?.voc?.value ?? data.environment?.voc ?? null
+                    value: check('environment.voc.value', env.voc?.value ?? env.voc)
                 },
                 gas: {
-                    safe: data.environment?.gas?.safe ?? data.environment?.gas ?? true
+                    safe: check('environment.gas.safe', env.gas?.safe ?? env.gas)
                 }
-            }
+            },
+            invalid: errors.map(error => error.field)
         };
+
+        if (errors.length > 0) {
+            reading.validationErrors = errors;
+        }
+
+        return reading;
+    }
+
+    // Backoff delay for a retry attempt beyond maxRetries: exponential with jitter
+    getBackoffDelay(attempt) {
+        const exponent = Math.max(0, attempt - this.maxRetries - 1);
+        const delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, exponent));
+
+        // Equal jitter: somewhere between half and the full delay
+        return Math.round(delay / 2 + Math.random() * delay / 2);
     }
 
-    // Handle connection errors
+    // Handle connection errors. Returns the delay before the next attempt.
     handleError(error) {
         console.warn('[Connection] Error:', error.message);
 
@@ -182,26 +671,56 @@ class ConnectionManager {
             // We were connected but now lost connection
             this.isConnected = false;
             this.lastReading = null;
-            this.emit('disconnected', { error: error.message });
+            this.emit('disconnected', { deviceId: this.deviceId, error: error.message });
             console.log('[Connection] Disconnected from Pi');
         }
 
+        let delay = this.pollInterval;
+
+        if (this.currentRetries <= this.maxRetries) {
+            // A few quick retries first - most drops are a single missed poll
+            this.setState(this.hasConnected ? 'degraded' : 'connecting');
+        } else {
+            delay = this.getBackoffDelay(this.currentRetries);
+            this.setState('backing-off');
+        }
+
+        this.nextRetryAt = Date.now() + delay;
+
         this.emit('error', {
+            deviceId: this.deviceId,
             message: error.message,
-            retries: this.currentRetries
+            retries: this.currentRetries,
+            state: this.state
         });
+
+        this.emit('reconnecting', {
+            deviceId: this.deviceId,
+            attempt: this.currentRetries,
+            delay,
+            nextRetryAt: this.nextRetryAt,
+            state: this.state
+        });
+
+        return delay;
     }
 
     // Check if currently connected
     getStatus() {
         return {
+            deviceId: this.deviceId,
+            name: this.deviceName,
             connected: this.isConnected,
+            state: this.state,
+            retries: this.currentRetries,
+            nextRetryAt: this.nextRetryAt,
             address: this.piAddress,
             port: this.piPort,
+            transport: this.transport?.name || null,
+            invalidCount: this.invalidCount,
             lastReading: this.lastReading
         };
     }
 }
 
-// Create global instance
-window.connectionManager = new ConnectionManager();
+// Instances are created by the DeviceRegistry (js/devices.js)
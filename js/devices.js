@@ -0,0 +1,195 @@
+/* ========================================
+   NURTHURE MONITOR - Device Registry
+   Multiple Pi units (cribs), one connection each
+   ======================================== */
+
+class DeviceRegistry {
+    constructor() {
+        this.devices = this.loadDevices();
+        this.managers = {};
+
+        // 'all' shows the overview grid, otherwise a device id
+        this.activeId = localStorage.getItem('activeDevice') || this.devices[0].id;
+        if (this.activeId !== 'all' && !this.getDevice(this.activeId)) {
+            this.activeId = this.devices[0].id;
+        }
+
+        this.devices.forEach(device => this.createManager(device));
+
+        this.listeners = {
+            added: [],
+            updated: [],
+            removed: [],
+            activeChanged: []
+        };
+    }
+
+    // Event system
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // Load devices from localStorage, migrating the old single-Pi settings
+    loadDevices() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('devices'));
+            if (Array.isArray(saved) && saved.length > 0) {
+                return saved;
+            }
+        } catch (error) {
+            console.warn('[Devices] Ignoring corrupt device list');
+        }
+
+        return [{
+            id: 'default',
+            name: 'Crib 1',
+            address: localStorage.getItem('piAddress') || '192.168.4.1',
+            port: localStorage.getItem('piPort') || '80',
+            pollInterval: parseInt(localStorage.getItem('pollInterval')) || 2000,
+            transportMode: localStorage.getItem('transportMode') || 'auto',
+            enabled: true
+        }];
+    }
+
+    saveDevices() {
+        localStorage.setItem('devices', JSON.stringify(this.devices));
+    }
+
+    createManager(device) {
+        const manager = new ConnectionManager(device);
+        this.managers[device.id] = manager;
+        return manager;
+    }
+
+    // ========== LOOKUP ==========
+
+    list() {
+        return this.devices;
+    }
+
+    getDevice(id) {
+        return this.devices.find(device => device.id === id) || null;
+    }
+
+    getManager(id) {
+        return this.managers[id] || null;
+    }
+
+    getManagers() {
+        return this.devices.map(device => this.managers[device.id]);
+    }
+
+    // Device shown in single-device views (History, Smart Analysis).
+    // Falls back to the first device while the overview is open.
+    getSelectedId() {
+        return this.activeId === 'all' ? this.devices[0].id : this.activeId;
+    }
+
+    getDeviceName(id) {
+        return this.getDevice(id)?.name || 'Unknown crib';
+    }
+
+    // ========== LIFECYCLE ==========
+
+    // Start every enabled device
+    startAll() {
+        this.devices.forEach(device => {
+            if (device.enabled) {
+                this.managers[device.id].start();
+            }
+        });
+    }
+
+    addDevice(config) {
+        const device = {
+            id: `crib-${Date.now().toString(36)}`,
+            name: config.name || `Crib ${this.devices.length + 1}`,
+            address: config.address || '192.168.4.1',
+            port: config.port || '80',
+            pollInterval: config.pollInterval || 2000,
+            transportMode: config.transportMode || 'auto',
+            enabled: config.enabled !== false
+        };
+
+        this.devices.push(device);
+        this.saveDevices();
+
+        const manager = this.createManager(device);
+        this.emit('added', { device, manager });
+
+        if (device.enabled) {
+            manager.start();
+        }
+
+        console.log(`[Devices] Added ${device.name}`);
+        return device;
+    }
+
+    updateDevice(id, changes) {
+        const device = this.getDevice(id);
+        if (!device) return null;
+
+        Object.assign(device, changes);
+        this.saveDevices();
+
+        const manager = this.managers[id];
+        manager.deviceName = device.name;
+
+        if (device.enabled) {
+            manager.configure(device.address, device.port, device.pollInterval, device.transportMode);
+        } else {
+            manager.stop();
+        }
+
+        this.emit('updated', { device, manager });
+        return device;
+    }
+
+    removeDevice(id) {
+        // Always keep at least one device
+        if (this.devices.length <= 1) return false;
+
+        const device = this.getDevice(id);
+        if (!device) return false;
+
+        this.managers[id].destroy();
+        delete this.managers[id];
+        this.devices = this.devices.filter(d => d.id !== id);
+        this.saveDevices();
+
+        if (this.activeId === id) {
+            this.setActive(this.devices[0].id);
+        } else {
+            window.connectionManager = this.managers[this.getSelectedId()];
+        }
+
+        this.emit('removed', { device });
+        console.log(`[Devices] Removed ${device.name}`);
+        return true;
+    }
+
+    // Switch the Monitor screen to a device, or 'all' for the overview
+    setActive(id) {
+        if (id !== 'all' && !this.getDevice(id)) return;
+
+        this.activeId = id;
+        localStorage.setItem('activeDevice', id);
+        window.connectionManager = this.managers[this.getSelectedId()];
+
+        this.emit('activeChanged', { id });
+    }
+}
+
+// Create global instance
+window.deviceRegistry = new DeviceRegistry();
+
+// The selected device's connection, for code that works with one Pi at a time
+window.connectionManager = window.deviceRegistry.getManager(window.deviceRegistry.getSelectedId());
@@ -1,6 +1,6 @@
 /* ========================================
    NURTHURE MONITOR - Data Export
-   CSV and JSON export functionality
+   CSV, JSON and FHIR export functionality
    ======================================== */
 
 class ExportManager {
@@ -13,46 +13,402 @@ class ExportManager {
             '1m': 24 * 30,
             'all': null
         };
+
+        // CSV columns, in file order. `alert` columns are only filled on alert
+        // rows, `shared` ones on every row.
+        this.columns = [
+            { key: 'timestamp', label: 'Timestamp (ms)', shared: true, read: r => r.timestamp },
+            { key: 'datetime', label: 'Date & time', shared: true, read: (r, utc) => this.formatDateTime(r.timestamp, utc) },
+            { key: 'device_id', label: 'Crib ID', shared: true, read: r => r.deviceId },
+            { key: 'respiration_value', label: 'Respiration', read: r => r.respiration?.value },
+            { key: 'respiration_unit', label: 'Respiration unit', read: r => r.respiration?.unit },
+            { key: 'respiration_confidence', label: 'Respiration confidence', read: r => r.respiration?.confidence },
+            { key: 'audio_state', label: 'Sound', read: r => r.audio?.state },
+            { key: 'audio_level', label: 'Sound level', read: r => r.audio?.level },
+            { key: 'body_temp_value', label: 'Body temperature', read: r => r.bodyTemp?.value },
+            { key: 'body_temp_unit', label: 'Body temperature unit', read: r => r.bodyTemp?.unit },
+            { key: 'posture_state', label: 'Posture', read: r => r.posture?.state },
+            { key: 'posture_confidence', label: 'Posture confidence', read: r => r.posture?.confidence },
+            { key: 'radar_active', label: 'Radar active', read: r => r.radar?.active },
+            { key: 'radar_movement', label: 'Movement', read: r => r.radar?.movement },
+            { key: 'env_temp_value', label: 'Room temperature', read: r => r.environment?.temp?.value },
+            { key: 'env_co2_value', label: 'CO₂', read: r => r.environment?.co2?.value },
+            { key: 'env_voc_value', label: 'VOC', read: r => r.environment?.voc?.value },
+            { key: 'env_gas_safe', label: 'Gas safe', read: r => r.environment?.gas?.safe },
+            { key: 'alert_severity', label: 'Alert severity', alert: true, read: a => a.severity },
+            { key: 'alert_title', label: 'Alert', alert: true, read: a => a.title },
+            { key: 'alert_description', label: 'Alert details', alert: true, read: a => a.description },
+            { key: 'alert_value', label: 'Alert value', alert: true, read: a => a.value },
+            { key: 'alert_status', label: 'Alert status', alert: true, read: a => a.status },
+            { key: 'alert_duration_s', label: 'Alert duration (s)', alert: true,
+                read: a => Number.isFinite(a.duration) ? Math.round(a.duration / 1000) : null },
+            { key: 'alert_acknowledged_by', label: 'Acknowledged by', alert: true, read: a => a.acknowledgedBy }
+        ];
+
+        // Readings read from the database per chunk written
+        this.streamBatchSize = 1000;
+
+        // The export in progress: { type, filename, total, written, cancelled }
+        this.job = null;
+
+        this.listeners = {
+            progress: []
+        };
     }
 
-    // Export readings as CSV
-    async exportCSV(timeRange = 'all') {
-        const readings = await this.getReadings(timeRange);
+    // Event system
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
 
-        if (readings.length === 0) {
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // Export readings as CSV. `range` is a time range key or { start, end } in ms.
+    // Options: columns (keys, default all), utc (default local time with offset),
+    // includeAlerts (alert rows interleaved by time), deviceId.
+    // Resolves with { filename, written, cancelled }, or null if there's nothing to export.
+    async exportCSV(range = 'all', options = {}) {
+        const filename = `nurthure-readings-${this.getRangeName(range)}.csv`;
+        let csv;
+
+        return this.streamExport('csv', range, options, filename, 'text/csv', {
+            start: (alerts) => {
+                const selected = this.columns.filter(column =>
+                    (!options.columns || options.columns.includes(column.key)) && (!column.alert || alerts));
+                const headers = selected.map(column => column.key);
+                if (alerts) headers.unshift('record_type');
+
+                csv = { selected, alerts, nextAlert: 0, utc: !!options.utc };
+                return headers.join(',') + '\n';
+            },
+            batch: (readings) => this.csvRows(csv, readings),
+            end: () => this.csvRows(csv, [])
+        });
+    }
+
+    // Export readings as JSON (same range and options as CSV; whole readings,
+    // so `columns` doesn't apply)
+    async exportJSON(range = 'all', options = {}) {
+        const filename = `nurthure-readings-${this.getRangeName(range)}.json`;
+        const utc = !!options.utc;
+        const indent = (json) => json.replace(/^/gm, '    ');
+        const item = (record) => indent(JSON.stringify({ datetime: this.formatDateTime(record.timestamp, utc), ...record }, null, 2));
+        let first = true;
+        let alertList = null;
+
+        return this.streamExport('json', range, options, filename, 'application/json', {
+            start: (alerts, { start, end, total }) => {
+                const header = JSON.stringify({
+                    exported: this.formatDateTime(Date.now(), utc),
+                    timeRange: typeof range === 'object' ? 'custom' : range,
+                    start: this.formatDateTime(start, utc),
+                    end: this.formatDateTime(end, utc),
+                    timeZone: utc ? 'UTC' : this.getTimeZone(),
+                    count: total
+                }, null, 2);
+
+                alertList = alerts;
+                // Reopen the object to append the arrays
+                return header.slice(0, -2) + ',\n  "readings": [\n';
+            },
+            batch: (readings) => {
+                const chunk = (first ? '' : ',\n') + readings.map(item).join(',\n');
+                first = false;
+                return chunk;
+            },
+            end: () => {
+                const alerts = alertList
+                    ? `,\n  "alerts": [\n${alertList.map(item).join(',\n')}\n  ]`
+                    : '';
+                return `\n  ]${alerts}\n}\n`;
+            }
+        });
+    }
+
+    // Shared by the CSV, JSON and FHIR exports: stream the readings in a range from
+    // the database into a file batch by batch, so large exports never sit in
+    // memory as one string. `format` turns the alerts and each batch into text.
+    async streamExport(type, range, options, filename, mimeType, format) {
+        if (!window.storageManager || !window.storageManager.db) {
+            return null;
+        }
+        if (this.job) {
+            throw new Error('An export is already running');
+        }
+
+        const storage = window.storageManager;
+        const { start, end } = this.resolveRange(range);
+        const deviceId = options.deviceId || null;
+
+        const total = await storage.countReadings(start, end, deviceId);
+        if (total === 0) {
             console.warn('[Export] No data to export');
             return null;
         }
 
-        const csv = await window.storageManager.exportReadingsCSV(
-            this.getStartTime(timeRange),
-            Date.now()
-        );
+        const job = { type, filename, total, written: 0, cancelled: false };
+        this.job = job;
+
+        try {
+            const writer = await this.createWriter(filename, mimeType);
+            if (!writer) {
+                // Save dialog dismissed
+                job.cancelled = true;
+                return { filename, written: 0, cancelled: true };
+            }
+
+            let alerts = null;
+            if (options.includeAlerts) {
+                alerts = (await storage.getAlerts(null, deviceId))
+                    .filter(alert => alert.timestamp >= start && alert.timestamp <= end)
+                    .sort((a, b) => a.timestamp - b.timestamp);
+            }
+
+            this.emit('progress', { ...job });
+
+            try {
+                await writer.write(format.start(alerts, { start, end, total }));
+
+                await storage.iterateReadings(start, end, deviceId, async (readings) => {
+                    if (job.cancelled) return false;
+
+                    await writer.write(format.batch(readings));
+                    job.written += readings.length;
+                    this.emit('progress', { ...job });
+
+                    // Let the UI update between batches
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    return !job.cancelled;
+                }, this.streamBatchSize);
+            } catch (error) {
+                // Don't leave half a file behind
+                await writer.abort();
+                throw error;
+            }
+
+            if (job.cancelled) {
+                await writer.abort();
+                console.log(`[Export] Cancelled ${filename} after ${job.written} readings`);
+            } else {
+                await writer.write(format.end());
+                await writer.close();
+                console.log(`[Export] Exported ${job.written} readings to ${filename}${writer.blob ? '' : ' (saved to disk)'}`);
+            }
+
+            return { filename, written: job.written, cancelled: job.cancelled };
+        } finally {
+            this.job = null;
+            this.emit('progress', { ...job, done: true });
+        }
+    }
+
+    // Stop the running export; the partial file is discarded
+    cancel() {
+        if (this.job) {
+            this.job.cancelled = true;
+        }
+    }
 
-        this.downloadFile(csv, `nurthure-readings-${timeRange}.csv`, 'text/csv');
+    // Somewhere to write an export a chunk at a time: a file picked through
+    // the File System Access API where the browser has it, otherwise a Blob
+    // assembled from the chunks and downloaded at the end. Resolves with null
+    // if the user dismisses the save dialog.
+    async createWriter(filename, mimeType) {
+        if (typeof window.showSaveFilePicker === 'function') {
+            let handle;
+            try {
+                const extension = filename.slice(filename.lastIndexOf('.'));
+                handle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{ description: 'Nurthure export', accept: { [mimeType]: [extension] } }]
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                // Blocked (e.g. no user gesture) - fall back to a download
+                console.warn('[Export] Save dialog unavailable:', error.message);
+                handle = null;
+            }
+
+            if (handle) {
+                const writable = await handle.createWritable();
+                return {
+                    write: (chunk) => writable.write(chunk),
+                    close: () => writable.close(),
+                    abort: () => writable.abort()
+                };
+            }
+        }
 
-        return csv;
+        const parts = [];
+        const writer = {
+            blob: true,
+            write: async (chunk) => {
+                // Small Blobs per chunk let the browser keep them out of the JS heap
+                parts.push(new Blob([chunk], { type: mimeType }));
+            },
+            close: async () => {
+                this.downloadFile(new Blob(parts, { type: mimeType }), filename, mimeType);
+            },
+            abort: async () => {
+                parts.length = 0;
+            }
+        };
+        return writer;
     }
 
-    // Export readings as JSON
-    async exportJSON(timeRange = 'all') {
-        const readings = await this.getReadings(timeRange);
+    // CSV lines for a batch of readings, with any alerts that fall before
+    // each reading. An empty batch flushes the remaining alerts. `csv` holds
+    // the columns and how far through the alerts the export is.
+    csvRows(csv, readings) {
+        const { selected, alerts, utc } = csv;
+
+        const row = (record, type) => {
+            const cells = selected.map(column => {
+                if (!column.shared && !!column.alert !== (type === 'alert')) return '';
+                return this.csvCell(column.read(record, utc));
+            });
+            if (alerts) cells.unshift(type);
+            return cells.join(',') + '\n';
+        };
+
+        let text = '';
+        readings.forEach(reading => {
+            while (alerts && csv.nextAlert < alerts.length &&
+                alerts[csv.nextAlert].timestamp <= reading.timestamp) {
+                text += row(alerts[csv.nextAlert++], 'alert');
+            }
+            text += row(reading, 'reading');
+        });
 
         if (readings.length === 0) {
-            console.warn('[Export] No data to export');
-            return null;
+            while (alerts && csv.nextAlert < alerts.length) {
+                text += row(alerts[csv.nextAlert++], 'alert');
+            }
         }
 
-        const json = JSON.stringify({
-            exported: new Date().toISOString(),
-            timeRange,
-            count: readings.length,
-            readings
-        }, null, 2);
+        return text;
+    }
 
-        this.downloadFile(json, `nurthure-readings-${timeRange}.json`, 'application/json');
+    // Quote cells with commas, quotes or line breaks
+    csvCell(value) {
+        if (value === null || value === undefined) return '';
 
-        return json;
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ISO 8601 in UTC, or in local time with its offset (2024-05-01T21:30:00.000+02:00)
+    formatDateTime(timestamp, utc = false) {
+        if (utc) return new Date(timestamp).toISOString();
+
+        const offset = -new Date(timestamp).getTimezoneOffset();
+        const local = new Date(timestamp + offset * 60000).toISOString().slice(0, 23);
+        const pad = (value) => String(value).padStart(2, '0');
+        const sign = offset < 0 ? '-' : '+';
+
+        return `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    getTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'local';
+    }
+
+    // Export one crib's readings as an HL7 FHIR R4 Bundle of Observations,
+    // written a batch at a time like the CSV and JSON exports. Each crib is a
+    // different patient, so `deviceId` is required and every Observation points
+    // at that crib's patient reference (saved, or `patientReference`). Each
+    // batch is checked against the core FHIR structure and the export stops,
+    // discarding the file, at the first batch that fails.
+    async exportFHIR(range = '24h', { deviceId, patientReference } = {}) {
+        if (!deviceId) {
+            throw new Error('Choose a crib to export');
+        }
+        if (patientReference === undefined) {
+            patientReference = await this.getPatientReference(deviceId);
+        }
+        if (!patientReference) {
+            throw new Error(`Set the patient reference for ${window.deviceRegistry.getDeviceName(deviceId)} first`);
+        }
+        if (!window.fhirBuilder.isReference(patientReference)) {
+            throw new Error('Use a FHIR reference such as Patient/12345');
+        }
+
+        const fhir = window.fhirBuilder;
+        const filename = `nurthure-fhir-${deviceId}-${this.getRangeName(range)}.json`;
+        const subject = { reference: patientReference };
+        let device;
+
+        const check = (bundle, knownUrls) => {
+            const errors = fhir.validate(bundle, knownUrls);
+            if (errors.length > 0) {
+                console.error('[Export] FHIR bundle failed validation', errors);
+                throw new Error(`FHIR bundle failed validation: ${errors[0]}` +
+                    (errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''));
+            }
+        };
+
+        return this.streamExport('fhir', range, { deviceId }, filename, 'application/fhir+json', {
+            start: () => {
+                device = fhir.createDevice(deviceId);
+                const bundle = fhir.createBundle([device]);
+                check(bundle, []);
+
+                // Leave the entry list open for the observations
+                return JSON.stringify(bundle).slice(0, -2);
+            },
+            batch: (readings) => {
+                const entries = readings.flatMap(reading => fhir.createObservations(reading, subject, device));
+                check(fhir.createBundle(entries), [device.fullUrl]);
+
+                return entries.map(entry => ',' + JSON.stringify(entry)).join('');
+            },
+            end: () => ']}\n'
+        });
+    }
+
+    // Every crib's FHIR patient reference, { deviceId: 'Patient/123' }
+    async getPatientReferences() {
+        if (!window.storageManager || !window.storageManager.db) return {};
+
+        const storage = window.storageManager;
+        const references = await storage.getSetting('fhirPatientReferences', null);
+        if (references) return references;
+
+        // There used to be one reference for all cribs; it can only be
+        // trusted to belong to a crib when there is just one
+        const legacy = await storage.getSetting('fhirPatientReference', null);
+        const devices = window.deviceRegistry.list();
+        return legacy && devices.length === 1 ? { [devices[0].id]: legacy } : {};
+    }
+
+    // Patient reference for a crib's FHIR exports ('Patient/123'), or null
+    async getPatientReference(deviceId) {
+        return (await this.getPatientReferences())[deviceId] || null;
+    }
+
+    // Save a crib's patient reference (empty clears it). Throws if it isn't
+    // a FHIR reference.
+    async setPatientReference(deviceId, reference) {
+        const value = String(reference || '').trim() || null;
+        if (value && !window.fhirBuilder.isReference(value)) {
+            throw new Error('Use a FHIR reference such as Patient/12345');
+        }
+
+        const references = await this.getPatientReferences();
+        if (value) {
+            references[deviceId] = value;
+        } else {
+            delete references[deviceId];
+        }
+
+        await window.storageManager.saveSetting('fhirPatientReferences', references);
+        return value;
     }
 
     // Export alerts
@@ -79,18 +435,31 @@ class ExportManager {
         return json;
     }
 
-    // Get readings for time range
-    async getReadings(timeRange) {
+    // Get readings for a time range key or { start, end }
+    async getReadings(range, deviceId = null) {
         if (!window.storageManager || !window.storageManager.db) {
             return [];
         }
 
-        if (timeRange === 'all') {
-            return await window.storageManager.getReadings(0, Date.now());
+        const { start, end } = this.resolveRange(range);
+        return await window.storageManager.getReadings(start, end, deviceId);
+    }
+
+    // { start, end } in ms for a time range key or { start, end }
+    resolveRange(range) {
+        if (range && typeof range === 'object') {
+            return { start: range.start, end: range.end };
         }
+        return { start: this.getStartTime(range), end: Date.now() };
+    }
 
-        const hours = this.timeRanges[timeRange] || 24;
-        return await window.storageManager.getReadingsLastHours(hours);
+    // For file names: the range key, or the dates of a custom range
+    getRangeName(range) {
+        if (range && typeof range === 'object') {
+            const day = (timestamp) => this.formatDateTime(timestamp).slice(0, 10);
+            return `${day(range.start)}_${day(range.end)}`;
+        }
+        return range;
     }
 
     // Get start time for time range
@@ -122,68 +491,164 @@ class ExportManager {
         console.log(`[Export] Downloaded ${filename}`);
     }
 
-    // Generate summary report
-    async generateReport(timeRange = '24h') {
-        const readings = await this.getReadings(timeRange);
+    // Everything the clinician report shows for a period. `range` is a time
+    // range key ('24h', '7d', ...) or { start, end } in ms. Statistics come
+    // from the rollups, so they cover periods whose raw readings are gone.
+    async generateReport(range = '24h', deviceId = null) {
+        const storage = window.storageManager;
+        if (!storage || !storage.db) {
+            return { error: 'No data available for report' };
+        }
 
-        if (readings.length === 0) {
+        const start = typeof range === 'object' ? range.start : this.getStartTime(range);
+        const end = typeof range === 'object' ? range.end : Date.now();
+
+        const resolution = this.getReportResolution(start);
+        const rollups = await storage.getRollups(resolution, start, end, deviceId);
+
+        if (rollups.length === 0) {
             return {
                 error: 'No data available for report'
             };
         }
 
-        // Calculate statistics for each sensor
-        const stats = {
-            timeRange,
+        // One rollup for the whole period
+        const total = rollups.reduce(
+            (sum, rollup) => storage.combineRollups(sum, rollup),
+            storage.createRollup(deviceId || 'all', start)
+        );
+
+        const catalog = window.sensorCatalog;
+        const merged = window.trendsManager.mergeRollups(rollups);
+
+        const sensors = {};
+        const states = {};
+        catalog.keys().forEach(key => {
+            const info = catalog.get(key);
+            if (info.type === 'number') {
+                if (!total.values[key]) return;
+                sensors[key] = {
+                    label: info.label,
+                    unit: info.unit || '',
+                    ...window.sensorStats.summarize(
+                        window.sensorStats.fromRollups(merged, key),
+                        window.alertsManager.thresholds[key] || null
+                    )
+                };
+            } else if (total.states[key]) {
+                states[key] = { label: info.label, counts: { ...total.states[key] } };
+            }
+        });
+
+        const alerts = (await storage.getAlerts(null, deviceId))
+            .filter(alert => alert.timestamp >= start && alert.timestamp <= end)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        const sessions = (await storage.getSessions(start, end, deviceId))
+            .filter(session => session.status === 'complete')
+            .reverse();
+
+        return {
+            generated: Date.now(),
             period: {
-                start: new Date(Math.min(...readings.map(r => r.timestamp))).toISOString(),
-                end: new Date(Math.max(...readings.map(r => r.timestamp))).toISOString()
+                start,
+                end,
+                first: rollups[0].bucket,
+                last: rollups[rollups.length - 1].bucket
             },
-            totalReadings: readings.length,
-            sensors: {}
+            deviceId,
+            resolution,
+            totalReadings: total.count,
+            sensors,
+            states,
+            alerts,
+            nights: await this.getReportNights(sessions, start, end, deviceId),
+            configuration: this.getReportConfiguration(deviceId)
         };
+    }
 
-        // Respiration stats
-        const respValues = readings.map(r => r.respiration?.value).filter(v => v !== null);
-        if (respValues.length > 0) {
-            stats.sensors.respiration = {
-                min: Math.min(...respValues),
-                max: Math.max(...respValues),
-                avg: (respValues.reduce((a, b) => a + b, 0) / respValues.length).toFixed(1),
-                unit: 'rpm'
-            };
-        }
+    // Minute rollups while they're still kept, hour rollups beyond that
+    getReportResolution(start) {
+        const keep = window.storageManager.retention.rollups_minute;
+        return keep === null || start >= Date.now() - keep ? 'minute' : 'hour';
+    }
 
-        // Body temperature stats
-        const tempValues = readings.map(r => r.bodyTemp?.value).filter(v => v !== null);
-        if (tempValues.length > 0) {
-            stats.sensors.bodyTemp = {
-                min: Math.min(...tempValues).toFixed(1),
-                max: Math.max(...tempValues).toFixed(1),
-                avg: (tempValues.reduce((a, b) => a + b, 0) / tempValues.length).toFixed(1),
-                unit: '°C'
-            };
+    // Respiration and body temperature through each night. Without recorded
+    // sleep sessions, each calendar day in the period counts as a night.
+    async getReportNights(sessions, start, end, deviceId) {
+        let periods = sessions.map(session => ({
+            start: session.startedAt,
+            end: session.endedAt,
+            deviceId: session.deviceId,
+            summary: session.summary
+        }));
+
+        if (periods.length === 0) {
+            const day = new Date(start);
+            day.setHours(0, 0, 0, 0);
+
+            while (day.getTime() < end && periods.length < 31) {
+                const dayStart = day.getTime();
+                day.setDate(day.getDate() + 1);
+                periods.push({
+                    start: Math.max(dayStart, start),
+                    end: Math.min(day.getTime(), end),
+                    deviceId,
+                    summary: null
+                });
+            }
         }
 
-        // CO2 stats
-        const co2Values = readings.map(r => r.environment?.co2?.value).filter(v => v !== null);
-        if (co2Values.length > 0) {
-            stats.sensors.co2 = {
-                min: Math.min(...co2Values),
-                max: Math.max(...co2Values),
-                avg: Math.round(co2Values.reduce((a, b) => a + b, 0) / co2Values.length),
-                unit: 'ppm'
-            };
+        // A session belongs to one crib, even in a report on all of them
+        const nights = [];
+        for (const period of periods) {
+            const rollups = window.trendsManager.mergeRollups(
+                await window.storageManager.getRollups(this.getReportResolution(period.start), period.start, period.end, period.deviceId)
+            );
+
+            const series = {};
+            ['respiration', 'bodyTemp'].forEach(sensor => {
+                series[sensor] = window.trendsManager.extractRollupData(rollups, sensor).points;
+            });
+
+            if (series.respiration.length > 0 || series.bodyTemp.length > 0) {
+                nights.push({ ...period, series });
+            }
         }
 
-        // Get alerts count
-        if (window.storageManager && window.storageManager.db) {
-            const alerts = await window.storageManager.getAlerts();
-            const startTime = this.getStartTime(timeRange);
-            stats.alerts = alerts.filter(a => a.timestamp >= startTime).length;
-        }
+        return nights;
+    }
 
-        return stats;
+    // Thresholds, rules, infant profile and cribs in use when the report was made
+    getReportConfiguration(deviceId) {
+        const am = window.alertsManager;
+        const profile = window.profileManager;
+        const devices = window.deviceRegistry.list()
+            .filter(device => !deviceId || device.id === deviceId)
+            .map(device => ({
+                name: device.name,
+                address: `${device.address}:${device.port}`,
+                pollInterval: device.pollInterval,
+                transportMode: device.transportMode
+            }));
+
+        return {
+            thresholds: JSON.parse(JSON.stringify(am.thresholds)),
+            rules: am.getRules().map(rule => ({
+                title: rule.title,
+                enabled: rule.enabled,
+                severity: rule.severity,
+                persistFor: rule.persistFor
+            })),
+            profile: {
+                name: profile.profile.name,
+                dateOfBirth: profile.profile.dateOfBirth,
+                weight: profile.profile.weight,
+                age: profile.formatAge(),
+                band: profile.currentBand?.label || null
+            },
+            devices
+        };
     }
 }
 
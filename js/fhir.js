@@ -0,0 +1,306 @@
+/* ========================================
+   NURTHURE MONITOR - FHIR Export
+   Readings as an HL7 FHIR R4 Bundle of
+   Observations, checked as they're written
+   ======================================== */
+
+class FhirBuilder {
+    constructor() {
+        this.loinc = 'http://loinc.org';
+        this.ucum = 'http://unitsofmeasure.org';
+        this.categorySystem = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+        // Our own codes for what LOINC has no code for (room conditions,
+        // posture, cry detection). A URN so nobody mistakes them for a standard.
+        this.customSystem = 'urn:nurthure-monitor:fhir:observation';
+        this.customValueSystem = 'urn:nurthure-monitor:fhir:value';
+
+        // sensor -> how it becomes an Observation. `value`: 'quantity' | 'boolean' | 'code'
+        this.observations = {
+            respiration: {
+                code: { system: this.loinc, code: '9279-1', display: 'Respiratory rate' },
+                category: 'vital-signs',
+                profile: 'http://hl7.org/fhir/StructureDefinition/resprate',
+                value: 'quantity',
+                unit: { unit: 'breaths/minute', code: '/min' }
+            },
+            bodyTemp: {
+                code: { system: this.loinc, code: '8310-5', display: 'Body temperature' },
+                category: 'vital-signs',
+                profile: 'http://hl7.org/fhir/StructureDefinition/bodytemp',
+                value: 'quantity',
+                unit: { unit: 'C', code: 'Cel' }
+            },
+            posture: {
+                code: { system: this.customSystem, code: 'sleep-posture', display: 'Sleep posture' },
+                category: 'activity',
+                value: 'code'
+            },
+            movement: {
+                code: { system: this.customSystem, code: 'radar-movement', display: 'Radar movement index' },
+                category: 'activity',
+                value: 'quantity',
+                unit: { unit: 'index', code: '1' }
+            },
+            audio: {
+                code: { system: this.customSystem, code: 'audio-state', display: 'Detected sound' },
+                category: 'activity',
+                value: 'code'
+            },
+            audioLevel: {
+                code: { system: this.customSystem, code: 'audio-level', display: 'Sound level' },
+                category: 'environment',
+                value: 'quantity',
+                unit: { unit: 'dB', code: 'dB' }
+            },
+            envTemp: {
+                code: { system: this.customSystem, code: 'room-temperature', display: 'Room temperature' },
+                category: 'environment',
+                value: 'quantity',
+                unit: { unit: 'C', code: 'Cel' }
+            },
+            co2: {
+                code: { system: this.customSystem, code: 'room-co2', display: 'Room CO2 concentration' },
+                category: 'environment',
+                value: 'quantity',
+                unit: { unit: 'ppm', code: '[ppm]' }
+            },
+            voc: {
+                code: { system: this.customSystem, code: 'room-voc', display: 'Room VOC index' },
+                category: 'environment',
+                value: 'quantity',
+                unit: { unit: 'index', code: '1' }
+            },
+            gas: {
+                code: { system: this.customSystem, code: 'room-gas-safe', display: 'Room air free of detected gas' },
+                category: 'environment',
+                value: 'boolean'
+            }
+        };
+
+        // R4 value sets the validator checks against
+        this.bundleTypes = ['document', 'message', 'transaction', 'transaction-response', 'batch',
+            'batch-response', 'history', 'searchset', 'collection'];
+        this.observationStatuses = ['registered', 'preliminary', 'final', 'amended', 'corrected',
+            'cancelled', 'entered-in-error', 'unknown'];
+        this.valueKeys = ['valueQuantity', 'valueCodeableConcept', 'valueString', 'valueBoolean', 'valueInteger',
+            'valueRange', 'valueRatio', 'valueSampledData', 'valueTime', 'valueDateTime', 'valuePeriod'];
+    }
+
+    // ========== BUILD ==========
+
+    // Empty collection Bundle. Exports write its entries one batch at a time
+    // (ExportManager.exportFHIR), so the whole bundle is never in memory.
+    createBundle(entries = []) {
+        return {
+            resourceType: 'Bundle',
+            id: this.uuid(),
+            meta: { lastUpdated: new Date().toISOString() },
+            type: 'collection',
+            timestamp: new Date().toISOString(),
+            entry: entries
+        };
+    }
+
+    // Observation entries for one reading, one per sensor with a value.
+    // `subject` is the crib's patient, `device` the crib's Device entry.
+    createObservations(reading, subject, device) {
+        const catalog = window.sensorCatalog;
+        const entries = [];
+
+        Object.keys(this.observations).forEach(sensor => {
+            const value = catalog.read(reading, sensor);
+            if (value === null || value === 'unknown') return;
+
+            entries.push(this.createObservation(sensor, value, reading, subject, { reference: device.fullUrl }));
+        });
+
+        return entries;
+    }
+
+    createDevice(deviceId) {
+        const resource = {
+            resourceType: 'Device',
+            id: this.uuid(),
+            identifier: [{ system: this.customSystem, value: deviceId }],
+            deviceName: [{ name: window.deviceRegistry.getDeviceName(deviceId), type: 'user-friendly-name' }],
+            type: { text: 'Nurthure non-contact infant monitor (Raspberry Pi)' }
+        };
+
+        return { fullUrl: `urn:uuid:${resource.id}`, resource };
+    }
+
+    createObservation(sensor, value, reading, subject, device) {
+        const definition = this.observations[sensor];
+
+        const resource = {
+            resourceType: 'Observation',
+            id: this.uuid(),
+            status: 'final',
+            category: [{ coding: [this.createCategory(definition.category)] }],
+            code: { coding: [definition.code], text: definition.code.display },
+            subject,
+            effectiveDateTime: new Date(reading.timestamp).toISOString(),
+            device
+        };
+
+        if (definition.profile) {
+            resource.meta = { profile: ['http://hl7.org/fhir/StructureDefinition/vitalsigns', definition.profile] };
+        }
+
+        switch (definition.value) {
+            case 'quantity':
+                resource.valueQuantity = {
+                    value,
+                    unit: definition.unit.unit,
+                    system: this.ucum,
+                    code: definition.unit.code
+                };
+                break;
+            case 'boolean':
+                resource.valueBoolean = value;
+                break;
+            case 'code':
+                resource.valueCodeableConcept = {
+                    coding: [{ system: this.customValueSystem, code: `${sensor}-${value}`, display: value }],
+                    text: value
+                };
+                break;
+        }
+
+        return { fullUrl: `urn:uuid:${resource.id}`, resource };
+    }
+
+    createCategory(category) {
+        // 'environment' isn't in the HL7 category list
+        return category === 'environment'
+            ? { system: this.customSystem, code: 'environment', display: 'Environment' }
+            : { system: this.categorySystem, code: category, display: category === 'vital-signs' ? 'Vital Signs' : 'Activity' };
+    }
+
+    uuid() {
+        if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    // ========== VALIDATE ==========
+
+    // Check a bundle against the core R4 structure (required elements,
+    // cardinality, value sets, references). Returns a list of problems,
+    // empty when the bundle is fine. `knownUrls` are fullUrls of entries
+    // already written, for checking one batch of a streamed bundle.
+    validate(bundle, knownUrls = []) {
+        const errors = [];
+
+        if (bundle?.resourceType !== 'Bundle') {
+            return ['Bundle.resourceType must be "Bundle"'];
+        }
+        if (!this.bundleTypes.includes(bundle.type)) {
+            errors.push(`Bundle.type "${bundle.type}" is not a valid bundle type`);
+        }
+        if (bundle.timestamp !== undefined && !this.isInstant(bundle.timestamp)) {
+            errors.push('Bundle.timestamp is not a valid instant');
+        }
+        if (!Array.isArray(bundle.entry)) {
+            errors.push('Bundle.entry must be a list');
+            return errors;
+        }
+
+        const fullUrls = new Set(knownUrls);
+        bundle.entry.forEach((entry, i) => {
+            const where = `Bundle.entry[${i}]`;
+            if (!entry.resource || typeof entry.resource.resourceType !== 'string') {
+                errors.push(`${where}.resource is missing its resourceType`);
+                return;
+            }
+            if (bundle.type === 'collection' && !entry.fullUrl) {
+                errors.push(`${where}.fullUrl is missing`);
+            }
+            if (entry.fullUrl && fullUrls.has(entry.fullUrl)) {
+                errors.push(`${where}.fullUrl ${entry.fullUrl} is used twice`);
+            }
+            fullUrls.add(entry.fullUrl);
+        });
+
+        bundle.entry.forEach((entry, i) => {
+            if (entry.resource?.resourceType === 'Observation') {
+                this.validateObservation(entry.resource, `Bundle.entry[${i}].resource`, fullUrls, errors);
+            }
+        });
+
+        return errors;
+    }
+
+    validateObservation(observation, where, fullUrls, errors) {
+        if (!this.observationStatuses.includes(observation.status)) {
+            errors.push(`${where}.status "${observation.status}" is not a valid status`);
+        }
+
+        const codings = observation.code?.coding;
+        if (!Array.isArray(codings) || codings.length === 0 ||
+            codings.some(coding => !coding.system || !coding.code)) {
+            errors.push(`${where}.code needs a coding with a system and code`);
+        }
+
+        if (observation.effectiveDateTime !== undefined && !this.isDateTime(observation.effectiveDateTime)) {
+            errors.push(`${where}.effectiveDateTime is not a valid dateTime`);
+        }
+
+        ['subject', 'device'].forEach(field => {
+            const reference = observation[field]?.reference;
+            if (field === 'subject' && !reference) {
+                errors.push(`${where}.subject is missing`);
+            } else if (reference && !this.isReference(reference)) {
+                errors.push(`${where}.${field} "${reference}" is not a valid reference`);
+            } else if (reference?.startsWith('urn:uuid:') && !fullUrls.has(reference)) {
+                errors.push(`${where}.${field} points at ${reference}, which is not in the bundle`);
+            }
+        });
+
+        // value[x] is 0..1
+        const values = this.valueKeys.filter(key => observation[key] !== undefined);
+        if (values.length > 1) {
+            errors.push(`${where} has more than one value[x]`);
+        }
+
+        const quantity = observation.valueQuantity;
+        if (quantity) {
+            if (typeof quantity.value !== 'number' || !Number.isFinite(quantity.value)) {
+                errors.push(`${where}.valueQuantity.value must be a number`);
+            }
+            if (quantity.code && !quantity.system) {
+                errors.push(`${where}.valueQuantity.code needs a system`);
+            }
+        }
+
+        if (observation.valueBoolean !== undefined && typeof observation.valueBoolean !== 'boolean') {
+            errors.push(`${where}.valueBoolean must be true or false`);
+        }
+    }
+
+    // Relative ('Patient/123'), absolute URL or urn:uuid reference
+    isReference(value) {
+        return typeof value === 'string' &&
+            (/^[A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/.test(value) ||
+             /^https?:\/\/\S+\/[A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/.test(value) ||
+             /^urn:uuid:[0-9a-f-]{36}$/.test(value));
+    }
+
+    isDateTime(value) {
+        return typeof value === 'string' &&
+            /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/.test(value) &&
+            !Number.isNaN(Date.parse(value));
+    }
+
+    isInstant(value) {
+        return typeof value === 'string' &&
+            /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value);
+    }
+}
+
+// Create global instance
+window.fhirBuilder = new FhirBuilder();
@@ -0,0 +1,89 @@
+/* ========================================
+   NURTHURE MONITOR - Sensor Freshness
+   Per-sensor dropout detection, separate
+   from losing the whole device
+   ======================================== */
+
+class FreshnessTracker {
+    constructor() {
+        // Sensors with a staleAfter limit in the catalog are tracked
+        this.catalog = window.sensorCatalog;
+        this.sensorKeys = this.catalog.keys(sensor => sensor.staleAfter);
+
+        this.maxNullStreak = 5;          // Consecutive readings with no value
+        this.maxRepeatedTimestamps = 3;  // Pi re-serving the same sample
+
+        this.state = {};
+        this.reset();
+    }
+
+    // Start every sensor's grace period on (re)connect, including sensors
+    // that have not sent a value yet - one that never reports goes stale
+    // after its staleAfter like any other
+    reset() {
+        const now = Date.now();
+        this.sensorKeys.forEach(key => {
+            this.state[key] = {
+                lastValidAt: now,
+                nullStreak: 0,
+                reported: this.state[key]?.reported || false
+            };
+        });
+        this.lastTimestamp = null;
+        this.repeatedTimestamps = 0;
+    }
+
+    // Update with a new reading and annotate it with reading.stale / reading.staleInfo.
+    // Freshness runs on our clock, since a frozen Pi clock is one of the failures we look for.
+    update(reading) {
+        const now = Date.now();
+
+        if (reading.timestamp === this.lastTimestamp) {
+            this.repeatedTimestamps++;
+        } else {
+            this.repeatedTimestamps = 0;
+            this.lastTimestamp = reading.timestamp;
+        }
+        const frozen = this.repeatedTimestamps >= this.maxRepeatedTimestamps;
+
+        const stale = [];
+        const staleInfo = {};
+
+        this.sensorKeys.forEach(key => {
+            const sensor = this.catalog.get(key);
+            const hasValue = this.catalog.read(reading, key) !== null;
+
+            const state = this.state[key];
+
+            if (hasValue && this.repeatedTimestamps === 0) {
+                state.lastValidAt = now;
+                state.nullStreak = 0;
+                state.reported = true;
+            } else if (!hasValue && state.reported) {
+                // A sensor that has never reported is judged on time alone
+                state.nullStreak++;
+            }
+
+            let reason = null;
+            if (frozen) {
+                reason = `same timestamp ${this.repeatedTimestamps + 1} times`;
+            } else if (state.nullStreak >= this.maxNullStreak) {
+                reason = `${state.nullStreak} empty readings in a row`;
+            } else if (now - state.lastValidAt > sensor.staleAfter) {
+                reason = `no valid value for ${Math.round((now - state.lastValidAt) / 1000)}s`;
+            }
+
+            if (reason) {
+                stale.push(key);
+                staleInfo[key] = { label: sensor.label, since: state.lastValidAt, reason };
+            }
+        });
+
+        reading.stale = stale;
+        if (stale.length > 0) {
+            reading.staleInfo = staleInfo;
+        }
+
+        return stale;
+    }
+}
@@ -93,7 +93,8 @@ class GeminiManager {
             return [];
         }
 
-        return await window.storageManager.getReadingsLastHours(1);
+        const deviceId = window.deviceRegistry?.getSelectedId() || null;
+        return await window.storageManager.getReadingsLastHours(1, deviceId);
     }
 
     // Build analysis prompt
@@ -139,15 +140,19 @@ Generate a brief analysis:`;
             };
         }
 
-        // Calculate averages and modes
-        const respValues = readings.map(r => r.respiration?.value).filter(v => v !== null);
-        const tempValues = readings.map(r => r.bodyTemp?.value).filter(v => v !== null);
-        const co2Values = readings.map(r => r.environment?.co2?.value).filter(v => v !== null);
-        const vocValues = readings.map(r => r.environment?.voc?.value).filter(v => v !== null);
+        // Statistics per sensor, with time against the alert thresholds
+        const summarize = (sensor) => window.sensorStats.summarize(
+            window.sensorStats.fromReadings(readings, sensor),
+            window.alertsManager?.thresholds[sensor] || null
+        );
+        const resp = summarize('respiration');
+        const temp = summarize('bodyTemp');
+        const co2 = summarize('co2');
+        const voc = summarize('voc');
         const audioStates = readings.map(r => r.audio?.state).filter(v => v);
         const postures = readings.map(r => r.posture?.state).filter(v => v);
 
-        const avg = (arr) => arr.length ? (arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(1) : null;
+        const inRange = (stats) => stats.timeInRange !== null ? `, within alert limits ${stats.timeInRange}% of the time` : '';
         const mode = (arr) => {
             if (arr.length === 0) return null;
             const counts = {};
@@ -156,11 +161,12 @@ Generate a brief analysis:`;
         };
 
         return {
-            respiration: respValues.length ? `Average ${avg(respValues)} rpm (range: ${Math.min(...respValues)}-${Math.max(...respValues)} rpm)` : 'No data',
+            respiration: resp.count ? `Average ${resp.avg} rpm (range: ${resp.min}-${resp.max} rpm, middle 90%: ${resp.p5}-${resp.p95} rpm, ` +
+                `reading-to-reading variability ${resp.rmssd ?? 0} rpm)${inRange(resp)}` : 'No data',
             audio: audioStates.length ? `Predominantly ${mode(audioStates)}` : 'No data',
-            bodyTemp: tempValues.length ? `Average ${avg(tempValues)}°C` : 'No data',
-            co2: co2Values.length ? `Average ${avg(co2Values)} ppm` : 'No data',
-            voc: vocValues.length ? `Average ${avg(vocValues)}` : 'No data',
+            bodyTemp: temp.count ? `Average ${temp.avg}°C${inRange(temp)}` : 'No data',
+            co2: co2.count ? `Average ${co2.avg} ppm${co2.timeAbove !== null ? `, above the limit ${co2.timeAbove}% of the time` : ''}` : 'No data',
+            voc: voc.count ? `Average ${voc.avg}${inRange(voc)}` : 'No data',
             posture: postures.length ? `Most common: ${mode(postures)}` : 'No data'
         };
     }
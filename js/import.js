@@ -0,0 +1,308 @@
+/* ========================================
+   NURTHURE MONITOR - Data Import
+   Backfills readings the Pi logged while the
+   app was closed, from the Pi or a log file
+   ======================================== */
+
+class ImportManager {
+    constructor() {
+        // How far back to ask for when a crib has no stored readings yet
+        this.maxBackfill = 7 * 24 * 60 * 60 * 1000;
+        this.historyPageSize = 1000;
+
+        // CSV columns -> path in the Pi's JSON payload. Covers the Pi's log
+        // columns and our own CSV export; dotted headers
+        // ("respiration.value") map to themselves.
+        this.csvColumns = {
+            timestamp: 'timestamp',
+            schema_version: 'schema_version',
+            respiration_value: 'respiration.value',
+            respiration_unit: 'respiration.unit',
+            respiration_confidence: 'respiration.confidence',
+            audio_state: 'audio.state',
+            audio_level: 'audio.level',
+            body_temp_value: 'body_temp.value',
+            body_temp_unit: 'body_temp.unit',
+            posture_state: 'posture.state',
+            posture_confidence: 'posture.confidence',
+            radar_active: 'radar.active',
+            radar_movement: 'radar.movement',
+            env_temp_value: 'environment.temp.value',
+            env_temp_unit: 'environment.temp.unit',
+            env_co2_value: 'environment.co2.value',
+            env_voc_value: 'environment.voc.value',
+            env_gas_safe: 'environment.gas.safe'
+        };
+
+        // Devices with an import in progress
+        this.running = new Set();
+
+        this.listeners = {
+            imported: []
+        };
+    }
+
+    // Event system
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // ========== BACKFILL FROM THE PI ==========
+
+    // Ask a crib's Pi for everything since the last stored reading, or since
+    // the last reading a previous backfill got from it if that's later. Each
+    // page is stored and moves the mark on as it arrives, so if the Pi stops
+    // answering part way the next backfill picks up from there.
+    async backfill(cm) {
+        if (!window.storageManager || !window.storageManager.db) return null;
+        if (this.running.has(cm.deviceId)) return null;
+
+        const storage = window.storageManager;
+        const markKey = `backfilledUntil:${cm.deviceId}`;
+
+        this.running.add(cm.deviceId);
+        try {
+            const latest = await storage.getLatestReading(cm.deviceId);
+            let mark = await storage.getSetting(markKey, 0);
+            const since = Math.max(latest ? latest.timestamp : 0, mark, Date.now() - this.maxBackfill);
+
+            const summary = this.createSummary(cm.deviceId, 'pi');
+            const replay = window.alertsManager.createReplay();
+            let pages = 0;
+
+            try {
+                await cm.fetchHistory(since, async (page) => {
+                    pages++;
+                    const readings = this.normalize(cm, page);
+                    await this.storeReadings(readings, cm.deviceId, summary, replay);
+
+                    // High-water mark: the next backfill doesn't ask for these again
+                    const last = readings
+                        .filter(reading => !reading.invalid.includes('timestamp'))
+                        .reduce((max, reading) => Math.max(max, reading.timestamp), mark);
+                    if (last > mark) {
+                        mark = last;
+                        await storage.saveSetting(markKey, mark);
+                    }
+                }, this.historyPageSize);
+            } catch (error) {
+                if (pages === 0) {
+                    // Older Pi firmware has no history endpoint - nothing to backfill
+                    console.warn(`[Import] ${cm.deviceName}: no history from the Pi (${error.message})`);
+                    return null;
+                }
+                console.warn(`[Import] ${cm.deviceName}: history stopped after ${summary.received} readings (${error.message}); ` +
+                    'the next backfill carries on from there');
+            }
+
+            summary.alerts += (await window.alertsManager.finishReplay(replay)).length;
+            return this.finishImport(summary);
+        } finally {
+            this.running.delete(cm.deviceId);
+        }
+    }
+
+    // ========== LOG FILE UPLOAD ==========
+
+    // Import a CSV or JSONL log file from the Pi for a crib
+    async importFile(file, deviceId) {
+        const cm = window.deviceRegistry.getManager(deviceId);
+        if (!cm) {
+            throw new Error('Unknown crib');
+        }
+
+        const raw = this.parseLog(await file.text(), file.name);
+        if (raw.length === 0) {
+            throw new Error('No readings found in this file');
+        }
+
+        return this.importReadings(this.normalize(cm, raw), deviceId, 'file');
+    }
+
+    // Normalize raw payloads as the live connection would. Live readings without
+    // a timestamp get the time they arrived; logged ones have no such time, so
+    // they are flagged instead.
+    normalize(cm, raw) {
+        return raw.map(data => {
+            const reading = cm.normalizeReading(data);
+            if ((data.timestamp === undefined || data.timestamp === null || data.timestamp === '') &&
+                !reading.invalid.includes('timestamp')) {
+                reading.invalid.push('timestamp');
+            }
+            return reading;
+        });
+    }
+
+    // Raw Pi payloads from a log: JSON Lines (one reading per line), a JSON
+    // array, or CSV with a header row
+    parseLog(text, filename = '') {
+        const trimmed = text.trim();
+        if (!trimmed) return [];
+
+        if (/\.(jsonl|ndjson|json)$/i.test(filename) || trimmed[0] === '{' || trimmed[0] === '[') {
+            if (trimmed[0] === '[') {
+                return JSON.parse(trimmed);
+            }
+
+            return trimmed.split(/\r?\n/)
+                .filter(line => line.trim())
+                .map((line, i) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        throw new Error(`Line ${i + 1} is not valid JSON`);
+                    }
+                });
+        }
+
+        return this.parseCSV(trimmed);
+    }
+
+    parseCSV(text) {
+        const [headerLine, ...lines] = text.split(/\r?\n/);
+        const headers = this.splitCSVLine(headerLine).map(header => header.trim());
+        const typeColumn = headers.indexOf('record_type');
+
+        const rows = lines.filter(line => line.trim()).map(line => this.splitCSVLine(line));
+
+        // Our exports can interleave alert rows with the readings
+        return rows.filter(cells => typeColumn === -1 || cells[typeColumn] !== 'alert').map(cells => {
+            const data = {};
+
+            headers.forEach((header, i) => {
+                const path = this.csvColumns[header] || (header.includes('.') ? header : null);
+                const cell = cells[i]?.trim();
+                if (!path || cell === undefined || cell === '') return;
+
+                this.setPath(data, path, this.parseCell(cell));
+            });
+
+            // Our own exports carry an ISO datetime alongside the timestamp
+            if (data.timestamp === undefined && headers.includes('datetime')) {
+                data.timestamp = cells[headers.indexOf('datetime')];
+            }
+
+            return data;
+        });
+    }
+
+    // Split one CSV line, honouring double-quoted cells
+    splitCSVLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        cells.push(cell);
+        return cells;
+    }
+
+    parseCell(cell) {
+        if (cell === 'true') return true;
+        if (cell === 'false') return false;
+
+        const number = Number(cell);
+        return Number.isFinite(number) ? number : cell;
+    }
+
+    setPath(target, path, value) {
+        const keys = path.split('.');
+        let node = target;
+
+        keys.slice(0, -1).forEach(key => {
+            node = node[key] || (node[key] = {});
+        });
+        node[keys[keys.length - 1]] = value;
+    }
+
+    // ========== STORE ==========
+
+    // Store normalized readings the database doesn't have yet, then replay
+    // them through the alert rules. Resolves with a summary.
+    async importReadings(readings, deviceId, source) {
+        const summary = this.createSummary(deviceId, source);
+        await this.storeReadings(readings, deviceId, summary);
+        return this.finishImport(summary);
+    }
+
+    createSummary(deviceId, source) {
+        return { deviceId, source, received: 0, imported: 0, duplicates: 0, invalid: 0, alerts: 0 };
+    }
+
+    // One batch of an import: store what's new and replay it, adding the
+    // counts to `summary`. `replay` carries the alert rules' state from one
+    // batch to the next (AlertsManager.createReplay).
+    async storeReadings(readings, deviceId, summary, replay = null) {
+        summary.received += readings.length;
+
+        // A reading without a trustworthy timestamp can't be placed in history
+        const dated = readings.filter(reading => !reading.invalid.includes('timestamp'));
+        summary.invalid += readings.length - dated.length;
+
+        if (dated.length === 0) return;
+
+        dated.sort((a, b) => a.timestamp - b.timestamp);
+
+        const first = dated[0].timestamp;
+        const last = dated[dated.length - 1].timestamp;
+        const stored = await window.storageManager.getReadings(first, last, deviceId);
+        const seen = new Set(stored.map(reading => reading.timestamp));
+
+        const fresh = dated.filter(reading => {
+            if (seen.has(reading.timestamp)) return false;
+            seen.add(reading.timestamp);
+            return true;
+        });
+        summary.duplicates += dated.length - fresh.length;
+
+        if (fresh.length > 0) {
+            await window.storageManager.saveReadings(fresh);
+            summary.imported += fresh.length;
+
+            const alerts = await window.alertsManager.replayReadings(fresh, replay);
+            summary.alerts += alerts.length;
+        }
+    }
+
+    finishImport(summary) {
+        if (summary.received > 0) {
+            console.log(`[Import] ${window.deviceRegistry.getDeviceName(summary.deviceId)}: ${summary.imported} readings from ${summary.source}` +
+                ` (${summary.duplicates} already stored, ${summary.invalid} undated, ${summary.alerts} alerts)`);
+        }
+        this.emit('imported', summary);
+
+        return summary;
+    }
+}
+
+// Create global instance
+window.importManager = new ImportManager();
@@ -0,0 +1,181 @@
+/* ========================================
+   NURTHURE MONITOR - Infant Profile
+   Name, date of birth and the age-banded
+   threshold presets that follow from them
+   ======================================== */
+
+class ProfileManager {
+    constructor() {
+        this.profile = {
+            name: '',
+            dateOfBirth: null,   // 'YYYY-MM-DD'
+            weight: null         // kg, optional
+        };
+
+        // Normal ranges change quickly in the first year. Each band lists only
+        // the thresholds it changes; anything else keeps the AlertsManager default.
+        this.bands = [
+            {
+                key: 'newborn',
+                label: '0–1 month',
+                maxAgeDays: 30,
+                thresholds: {
+                    respiration: { min: 30, max: 60 },
+                    bodyTemp: { min: 36.5, max: 37.9 },
+                    envTemp: { min: 18, max: 22 }
+                }
+            },
+            {
+                key: 'young_infant',
+                label: '1–6 months',
+                maxAgeDays: 182,
+                thresholds: {
+                    respiration: { min: 25, max: 55 },
+                    bodyTemp: { min: 36.2, max: 38 },
+                    envTemp: { min: 16, max: 22 }
+                }
+            },
+            {
+                key: 'older_infant',
+                label: '6–12 months',
+                maxAgeDays: 365,
+                thresholds: {
+                    respiration: { min: 22, max: 50 },
+                    bodyTemp: { min: 36, max: 38 },
+                    envTemp: { min: 16, max: 24 }
+                }
+            },
+            {
+                key: 'toddler',
+                label: '12 months +',
+                maxAgeDays: Infinity,
+                thresholds: {
+                    respiration: { min: 20, max: 40 },
+                    bodyTemp: { min: 36, max: 38 },
+                    envTemp: { min: 16, max: 24 }
+                }
+            }
+        ];
+
+        this.currentBand = null;
+
+        // The baby ages while the app stays open overnight
+        this.ageCheckInterval = 60 * 60 * 1000;
+        this.ageCheckTimer = null;
+
+        this.listeners = {
+            changed: [],
+            bandChanged: []
+        };
+    }
+
+    // Initialize
+    async init() {
+        if (window.storageManager && window.storageManager.db) {
+            const saved = await window.storageManager.getSetting('infantProfile');
+            if (saved) {
+                this.profile = { ...this.profile, ...saved };
+            }
+        }
+
+        this.currentBand = this.getBand();
+
+        if (!this.ageCheckTimer) {
+            this.ageCheckTimer = setInterval(() => this.checkBand(), this.ageCheckInterval);
+        }
+
+        console.log('[Profile] Initialized', this.currentBand ? `(${this.currentBand.label})` : '(no date of birth)');
+    }
+
+    // Event system
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    // Save name / dateOfBirth / weight
+    async saveProfile(changes) {
+        const profile = { ...this.profile };
+
+        if (changes.name !== undefined) {
+            profile.name = String(changes.name).trim().slice(0, 32);
+        }
+        if (changes.dateOfBirth !== undefined) {
+            const dob = changes.dateOfBirth ? Date.parse(changes.dateOfBirth) : NaN;
+            // No future birthdays
+            profile.dateOfBirth = Number.isFinite(dob) && dob <= Date.now() ? changes.dateOfBirth : null;
+        }
+        if (changes.weight !== undefined) {
+            const weight = parseFloat(changes.weight);
+            profile.weight = Number.isFinite(weight) && weight > 0 && weight < 30 ? weight : null;
+        }
+
+        this.profile = profile;
+
+        if (window.storageManager && window.storageManager.db) {
+            await window.storageManager.saveSetting('infantProfile', this.profile);
+        }
+
+        this.emit('changed', this.profile);
+        this.checkBand();
+
+        return this.profile;
+    }
+
+    // Age in whole days, or null without a date of birth
+    getAgeDays(now = Date.now()) {
+        if (!this.profile.dateOfBirth) return null;
+
+        const born = Date.parse(this.profile.dateOfBirth);
+        return Math.max(0, Math.floor((now - born) / (24 * 60 * 60 * 1000)));
+    }
+
+    // "3 weeks", "4 months", "1 year 2 months"
+    formatAge() {
+        const days = this.getAgeDays();
+        if (days === null) return '';
+
+        if (days < 14) return `${days} day${days === 1 ? '' : 's'}`;
+        if (days < 60) return `${Math.floor(days / 7)} weeks`;
+
+        const months = Math.floor(days / 30.44);
+        if (months < 12) return `${months} month${months === 1 ? '' : 's'}`;
+
+        const years = Math.floor(months / 12);
+        const rest = months % 12;
+        return `${years} year${years === 1 ? '' : 's'}${rest ? ` ${rest} month${rest === 1 ? '' : 's'}` : ''}`;
+    }
+
+    // Age band for the profile, or null without a date of birth
+    getBand() {
+        const days = this.getAgeDays();
+        if (days === null) return null;
+
+        return this.bands.find(band => days <= band.maxAgeDays);
+    }
+
+    // Threshold preset for the current age, or null to use the defaults
+    getPreset() {
+        return this.currentBand ? this.currentBand.thresholds : null;
+    }
+
+    // Move to the next band when the baby has aged into it
+    checkBand() {
+        const band = this.getBand();
+        if (band?.key === this.currentBand?.key) return;
+
+        this.currentBand = band;
+        console.log(`[Profile] Thresholds now for ${band ? band.label : 'no age set'}`);
+        this.emit('bandChanged', band);
+    }
+}
+
+// Create global instance
+window.profileManager = new ProfileManager();
@@ -0,0 +1,477 @@
+/* ========================================
+   NURTHURE MONITOR - Clinician Report
+   Self-contained printable HTML report built
+   from ExportManager.generateReport()
+   ======================================== */
+
+class ReportManager {
+    constructor() {
+        this.disclaimer = 'For information only - not a diagnosis. Nurthure Monitor is a prototype, ' +
+            'not a medical device. Its readings come from non-contact sensors and can be wrong or missing. ' +
+            'They are shared to support a conversation with a clinician, not to replace clinical judgement.';
+
+        this.chart = {
+            width: 640,
+            height: 140,
+            padding: { top: 10, right: 10, bottom: 22, left: 40 }
+        };
+
+        // Charted through each night
+        this.nightSensors = {
+            respiration: { color: '#00bcd4' },
+            bodyTemp: { color: '#ff9800' }
+        };
+
+        this.severityColors = {
+            CRITICAL: '#d32f2f',
+            WARNING: '#f57c00',
+            INFO: '#5c6bc0'
+        };
+    }
+
+    // Build the report and open it in a new tab, ready to print or save as PDF.
+    // Falls back to a download when pop-ups are blocked.
+    async openReport(range, deviceId = null) {
+        // Open the tab straight away - browsers block pop-ups opened after an await
+        const win = window.open('', '_blank');
+
+        const html = await this.createReport(range, deviceId);
+        if (!html) {
+            win?.close();
+            return null;
+        }
+
+        if (!win) {
+            this.saveReport(html);
+            return html;
+        }
+
+        win.document.open();
+        win.document.write(html);
+        win.document.close();
+        return html;
+    }
+
+    // Build the report and download it as an .html file
+    async downloadReport(range, deviceId = null) {
+        const html = await this.createReport(range, deviceId);
+        if (html) this.saveReport(html);
+        return html;
+    }
+
+    saveReport(html) {
+        const date = new Date().toISOString().slice(0, 10);
+        window.exportManager.downloadFile(html, `nurthure-report-${date}.html`, 'text/html');
+    }
+
+    async createReport(range, deviceId) {
+        const report = await window.exportManager.generateReport(range, deviceId);
+        if (report.error) {
+            console.warn(`[Report] ${report.error}`);
+            return null;
+        }
+        return this.buildHTML(report);
+    }
+
+    // ========== HTML ==========
+
+    buildHTML(report) {
+        const { period, configuration } = report;
+        const profile = configuration.profile;
+        const crib = report.deviceId ? window.deviceRegistry.getDeviceName(report.deviceId) : 'All cribs';
+
+        const title = `Sleep &amp; vital signs report${profile.name ? ` - ${this.escape(profile.name)}` : ''}`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${this.styles()}</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+
+<header>
+    <h1>${title}</h1>
+    <p class="meta">
+        ${this.formatDate(period.start)} - ${this.formatDate(period.end)} · ${this.escape(crib)}<br>
+        ${profile.dateOfBirth ? `Born ${this.escape(profile.dateOfBirth)} (${this.escape(profile.age)} old)` : 'Date of birth not set'}
+        ${profile.weight ? ` · ${profile.weight} kg` : ''}<br>
+        Generated ${new Date(report.generated).toLocaleString()} by Nurthure Monitor
+    </p>
+</header>
+
+<p class="disclaimer">${this.disclaimer}</p>
+
+${this.renderOverview(report)}
+${this.renderStatistics(report)}
+${this.renderStates(report)}
+${this.renderNights(report)}
+${this.renderAlerts(report)}
+${this.renderConfiguration(report)}
+
+<p class="disclaimer">${this.disclaimer}</p>
+</body>
+</html>`;
+    }
+
+    renderOverview(report) {
+        const bySeverity = { CRITICAL: 0, WARNING: 0, INFO: 0 };
+        report.alerts.forEach(alert => {
+            bySeverity[alert.severity] = (bySeverity[alert.severity] || 0) + 1;
+        });
+
+        const sleep = report.nights.filter(night => night.summary);
+        const totalSleep = sleep.reduce((sum, night) => sum + night.summary.totalSleep, 0);
+
+        return `
+<section>
+    <h2>Overview</h2>
+    <table class="overview">
+        <tr><th>Readings</th><td>${report.totalReadings.toLocaleString()}</td></tr>
+        <tr><th>Nights recorded</th><td>${sleep.length}${sleep.length ? ` (average sleep ${this.formatDuration(totalSleep / sleep.length)})` : ''}</td></tr>
+        <tr><th>Alerts</th><td>${report.alerts.length} (${bySeverity.CRITICAL} critical, ${bySeverity.WARNING} warning, ${bySeverity.INFO} info)</td></tr>
+    </table>
+</section>`;
+    }
+
+    renderStatistics(report) {
+        const value = (number) => number === null ? '--' : number;
+
+        const rows = Object.values(report.sensors).map(stats => `
+        <tr>
+            <td>${this.escape(stats.label)}</td>
+            <td>${stats.min}</td>
+            <td>${value(stats.p5)}</td>
+            <td>${value(stats.median)}</td>
+            <td>${stats.avg}</td>
+            <td>${value(stats.p95)}</td>
+            <td>${stats.max}</td>
+            <td>${value(stats.stdDev)}</td>
+            <td>${this.escape(stats.unit)}</td>
+            <td>${stats.count.toLocaleString()}</td>
+        </tr>`).join('');
+
+        // Only sensors with alert thresholds
+        const limited = Object.values(report.sensors).filter(stats => stats.timeInRange !== null);
+        const rangeRows = limited.map(stats => `
+        <tr>
+            <td>${this.escape(stats.label)}</td>
+            <td>${stats.timeInRange}%</td>
+            <td>${stats.timeAbove === null ? '--' : `${stats.timeAbove}%`}</td>
+            <td>${stats.timeBelow === null ? '--' : `${stats.timeBelow}%`}</td>
+            <td>${stats.crossings.above} above · ${stats.crossings.below} below</td>
+        </tr>`).join('');
+
+        const respiration = report.sensors.respiration;
+        const variability = respiration && respiration.rmssd !== null
+            ? `<p>Respiration variability: ${respiration.rmssd} rpm between successive ${report.resolution} averages (RMSSD), ` +
+              `coefficient of variation ${value(respiration.cv)}%.</p>`
+            : '';
+
+        return `
+<section>
+    <h2>Sensor statistics</h2>
+    <table>
+        <thead><tr><th>Sensor</th><th>Min</th><th>5th %</th><th>Median</th><th>Average</th><th>95th %</th><th>Max</th><th>SD</th><th>Unit</th><th>Samples</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+    ${variability}
+    ${limited.length ? `
+    <h3>Time against alert thresholds</h3>
+    <table>
+        <thead><tr><th>Sensor</th><th>In range</th><th>Above max</th><th>Below min</th><th>Went out of range</th></tr></thead>
+        <tbody>${rangeRows}</tbody>
+    </table>` : ''}
+    <p class="meta">Percentiles, spread and time in range are worked out from ${report.resolution} averages; min and max are exact.</p>
+</section>`;
+    }
+
+    // Share of readings in each posture (and audio state, radar presence, gas)
+    renderStates(report) {
+        const order = ['posture', 'audio', 'radar', 'gas'];
+
+        const blocks = order.filter(key => report.states[key]).map(key => {
+            const { label, counts } = report.states[key];
+            const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+            const rows = Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .map(([state, count]) => {
+                    const percent = Math.round((count / total) * 1000) / 10;
+                    return `
+            <tr>
+                <td>${this.escape(this.formatState(key, state))}</td>
+                <td class="bar-cell"><span class="bar" style="width: ${percent}%"></span></td>
+                <td>${percent}%</td>
+            </tr>`;
+                }).join('');
+
+            return `
+    <h3>${this.escape(label)}</h3>
+    <table class="states">${rows}</table>`;
+        }).join('');
+
+        return blocks ? `
+<section>
+    <h2>Posture and activity breakdown</h2>
+    ${blocks}
+</section>` : '';
+    }
+
+    renderNights(report) {
+        if (report.nights.length === 0) return '';
+
+        const thresholds = report.configuration.thresholds;
+
+        const nights = report.nights.map(night => {
+            const summary = night.summary
+                ? `Asleep ${this.formatDuration(night.summary.totalSleep)} of ${this.formatDuration(night.summary.inBed)} · ` +
+                  `${night.summary.wakeUps} wake-up${night.summary.wakeUps === 1 ? '' : 's'} · ` +
+                  `${night.summary.alerts.total} alert${night.summary.alerts.total === 1 ? '' : 's'}`
+                : 'No sleep session recorded - whole day shown';
+
+            const charts = Object.entries(this.nightSensors)
+                .filter(([sensor]) => night.series[sensor].length > 0)
+                .map(([sensor, { color }]) => {
+                    const info = window.sensorCatalog.get(sensor);
+                    return `
+        <figure>
+            <figcaption>${this.escape(info.label)} (${this.escape(info.unit)})</figcaption>
+            ${this.renderChart(night.series[sensor], night.start, night.end, color, thresholds[sensor])}
+        </figure>`;
+                }).join('');
+
+            return `
+    <div class="night">
+        <h3>${this.formatDate(night.start)}, ${this.formatTime(night.start)} - ${this.formatTime(night.end)}</h3>
+        <p class="meta">${summary}</p>
+        ${charts}
+    </div>`;
+        }).join('');
+
+        return `
+<section>
+    <h2>Night by night</h2>
+    <p class="meta">Line: average. Shaded: lowest to highest. Dashed: alert thresholds.</p>
+    ${nights}
+</section>`;
+    }
+
+    // Inline SVG chart: average line over a min/max band, threshold lines dashed
+    renderChart(points, start, end, color, thresholds = {}) {
+        const { width, height, padding } = this.chart;
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const limits = [thresholds.min, thresholds.max].filter(value => typeof value === 'number');
+        const values = points.flatMap(point => [point.min, point.max]).concat(limits);
+        let low = Math.min(...values);
+        let high = Math.max(...values);
+        if (high === low) {
+            low -= 1;
+            high += 1;
+        }
+
+        const x = (t) => padding.left + ((t - start) / Math.max(1, end - start)) * plotWidth;
+        const y = (v) => padding.top + (1 - (v - low) / (high - low)) * plotHeight;
+        const fixed = (n) => n.toFixed(1);
+
+        const band = points.map(p => `${fixed(x(p.x))},${fixed(y(p.max))}`)
+            .concat([...points].reverse().map(p => `${fixed(x(p.x))},${fixed(y(p.min))}`))
+            .join(' ');
+        const line = points.map(p => `${fixed(x(p.x))},${fixed(y(p.y))}`).join(' ');
+
+        const thresholdLines = limits.map(value => `
+            <line x1="${padding.left}" x2="${width - padding.right}" y1="${fixed(y(value))}" y2="${fixed(y(value))}" class="threshold"/>
+            <text x="${width - padding.right}" y="${fixed(y(value) - 2)}" text-anchor="end" class="label">${value}</text>`).join('');
+
+        // Hour ticks along the bottom (every few hours on long periods)
+        const hours = (end - start) / 3600000;
+        const step = hours > 12 ? 3 : hours > 6 ? 2 : 1;
+        const ticks = [];
+        const tick = new Date(start);
+        tick.setMinutes(0, 0, 0);
+        tick.setHours(tick.getHours() + 1);
+        while (tick.getTime() < end) {
+            if (tick.getHours() % step === 0) {
+                ticks.push(`<text x="${fixed(x(tick.getTime()))}" y="${height - 6}" text-anchor="middle" class="label">${String(tick.getHours()).padStart(2, '0')}:00</text>`);
+            }
+            tick.setHours(tick.getHours() + 1);
+        }
+
+        return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">
+            <rect x="${padding.left}" y="${padding.top}" width="${plotWidth}" height="${plotHeight}" class="plot"/>
+            <text x="${padding.left - 4}" y="${padding.top + 8}" text-anchor="end" class="label">${Math.round(high * 10) / 10}</text>
+            <text x="${padding.left - 4}" y="${padding.top + plotHeight}" text-anchor="end" class="label">${Math.round(low * 10) / 10}</text>
+            <polygon points="${band}" fill="${color}" fill-opacity="0.2"/>
+            <polyline points="${line}" fill="none" stroke="${color}" stroke-width="1.5"/>
+            ${thresholdLines}
+            ${ticks.join('')}
+        </svg>`;
+    }
+
+    renderAlerts(report) {
+        if (report.alerts.length === 0) {
+            return `
+<section>
+    <h2>Alert timeline</h2>
+    <p>No alerts in this period.</p>
+</section>`;
+        }
+
+        const rows = report.alerts.map(alert => {
+            let outcome = alert.status === 'active' ? 'Ongoing' : '';
+            if (alert.duration !== undefined) outcome = `Lasted ${this.formatDuration(alert.duration)}`;
+            if (alert.imported) outcome += ' (recorded while the app was closed)';
+            if (alert.acknowledged) {
+                outcome += ` · acknowledged${alert.acknowledgedBy ? ` by ${alert.acknowledgedBy}` : ''}` +
+                    (alert.responseLatency !== undefined ? ` after ${this.formatDuration(alert.responseLatency)}` : '');
+            }
+
+            return `
+        <tr>
+            <td>${this.formatDate(alert.timestamp)} ${this.formatTime(alert.timestamp)}</td>
+            <td><span class="severity" style="color: ${this.severityColors[alert.severity] || 'inherit'}">${this.escape(alert.severity)}</span></td>
+            <td><strong>${this.escape(alert.title)}</strong><br>${this.escape(alert.description || '')}</td>
+            <td>${this.escape(outcome)}</td>
+        </tr>`;
+        }).join('');
+
+        return `
+<section>
+    <h2>Alert timeline</h2>
+    <table>
+        <thead><tr><th>Time</th><th>Severity</th><th>Alert</th><th>Outcome</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+</section>`;
+    }
+
+    renderConfiguration(report) {
+        const { thresholds, rules, profile, devices } = report.configuration;
+        const catalog = window.sensorCatalog;
+
+        const thresholdRows = Object.entries(thresholds).map(([sensor, limits]) => {
+            const info = catalog.get(sensor);
+            return `
+        <tr>
+            <td>${this.escape(info?.label || sensor)}</td>
+            <td>${limits.min ?? '-'}</td>
+            <td>${limits.max ?? '-'}</td>
+            <td>${this.escape(info?.unit || '')}</td>
+        </tr>`;
+        }).join('');
+
+        const ruleRows = rules.map(rule => `
+        <tr>
+            <td>${this.escape(rule.title)}</td>
+            <td>${rule.enabled ? this.escape(rule.severity) : 'Off'}</td>
+            <td>${rule.persistFor ? `${rule.persistFor} s` : '-'}</td>
+        </tr>`).join('');
+
+        const deviceRows = devices.map(device => `
+        <tr>
+            <td>${this.escape(device.name)}</td>
+            <td>${this.escape(device.address)}</td>
+            <td>${this.escape(device.transportMode)}, every ${device.pollInterval / 1000} s when polling</td>
+        </tr>`).join('');
+
+        return `
+<section class="configuration">
+    <h2>Monitor configuration</h2>
+    <p class="meta">Settings at the time this report was generated.
+        ${profile.band ? `Thresholds follow the ${this.escape(profile.band)} age preset, with any manual changes.` : ''}</p>
+
+    <h3>Alert thresholds</h3>
+    <table>
+        <thead><tr><th>Sensor</th><th>Alert below</th><th>Alert above</th><th>Unit</th></tr></thead>
+        <tbody>${thresholdRows}</tbody>
+    </table>
+
+    <h3>Alert rules</h3>
+    <table>
+        <thead><tr><th>Rule</th><th>Severity</th><th>Must persist</th></tr></thead>
+        <tbody>${ruleRows}</tbody>
+    </table>
+
+    <h3>Devices</h3>
+    <table>
+        <thead><tr><th>Crib</th><th>Pi address</th><th>Connection</th></tr></thead>
+        <tbody>${deviceRows}</tbody>
+    </table>
+</section>`;
+    }
+
+    styles() {
+        return `
+body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 760px; margin: 24px auto; padding: 0 16px; font-size: 13px; line-height: 1.4; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+h2 { font-size: 15px; margin: 24px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #00bcd4; }
+h3 { font-size: 13px; margin: 14px 0 6px; }
+.meta { color: #6b7280; margin: 4px 0; }
+.disclaimer { border: 1px solid #f59e0b; background: #fffbeb; padding: 8px 12px; border-radius: 6px; font-weight: 500; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+thead th { background: #f3f4f6; }
+.overview th { width: 40%; font-weight: 500; }
+.states td:first-child { width: 30%; }
+.states td:last-child { width: 15%; text-align: right; }
+.bar-cell { width: 55%; }
+.bar { display: inline-block; height: 10px; background: #00bcd4; border-radius: 2px; }
+.severity { font-weight: 700; }
+.night { page-break-inside: avoid; break-inside: avoid; margin-bottom: 16px; }
+figure { margin: 6px 0; }
+figcaption { font-size: 12px; color: #374151; }
+svg .plot { fill: #fafafa; stroke: #e5e7eb; }
+svg .label { font-size: 10px; fill: #6b7280; }
+svg .threshold { stroke: #d32f2f; stroke-dasharray: 4 3; stroke-width: 1; }
+.print-btn { float: right; padding: 6px 12px; border: 1px solid #00bcd4; background: #fff; color: #00838f; border-radius: 6px; cursor: pointer; }
+@page { margin: 16mm; }
+@media print {
+    body { margin: 0; max-width: none; }
+    .print-btn { display: none; }
+    section { page-break-inside: auto; }
+    .configuration { page-break-before: always; }
+}`;
+    }
+
+    // ========== FORMATTING ==========
+
+    escape(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    // "7h 20m", "4m 10s"
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    formatState(sensor, state) {
+        if (sensor === 'radar') return state === 'true' ? 'Baby detected' : 'No one detected';
+        if (sensor === 'gas') return state === 'true' ? 'Air safe' : 'Gas detected';
+        if (state === 'supine') return 'On back';
+        if (state === 'prone') return 'On tummy';
+        return state.charAt(0).toUpperCase() + state.slice(1);
+    }
+}
+
+// Create global instance
+window.reportManager = new ReportManager();
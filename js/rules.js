@@ -0,0 +1,186 @@
+/* ========================================
+   NURTHURE MONITOR - Rule Engine
+   Time-windowed alert evaluation with
+   persistence and hysteresis
+   ======================================== */
+
+/*
+   A rule looks like:
+   {
+       key: 'respiration_low',
+       sensor: 'respiration',         // read through window.sensorCatalog...
+       read: reading => ...,          // ...unless the rule reads its own value
+       condition: 'below',            // 'below' | 'above' | 'equals'
+       threshold: () => 20,           // number for below/above, value to match for equals
+       persistFor: 15,                // seconds the condition must hold before the rule starts
+       hysteresis: 2,                 // below/above: how far back past the threshold to clear
+       clearAfter: 0                  // seconds the clear condition must hold before the rule ends
+   }
+
+   All durations are measured on reading timestamps, not on when the
+   reading happened to reach us.
+*/
+
+class RuleEngine {
+    constructor() {
+        this.state = {};
+
+        // A gap in the data longer than this breaks a pending or clearing window -
+        // we can't claim a condition held through readings we never saw.
+        this.maxGap = 30000;
+    }
+
+    getState(scope, rule) {
+        const id = `${scope}:${rule.key}`;
+        if (!this.state[id]) {
+            this.state[id] = {
+                active: false,
+                pendingSince: null,
+                activeSince: null,
+                clearingSince: null,
+                peak: null,
+                lastTimestamp: null
+            };
+        }
+        return this.state[id];
+    }
+
+    // Forget a rule's windows on every device (e.g. when it is disabled)
+    resetRule(key) {
+        Object.keys(this.state)
+            .filter(id => id.endsWith(`:${key}`))
+            .forEach(id => delete this.state[id]);
+    }
+
+    // Forget every rule's windows on one device
+    resetScope(scope) {
+        Object.keys(this.state)
+            .filter(id => id.startsWith(`${scope}:`))
+            .forEach(id => delete this.state[id]);
+    }
+
+    // Is the rule's condition true for this value? Active rules use the
+    // hysteresis band so a value hovering at the threshold doesn't flap.
+    isTriggered(rule, value, active) {
+        const threshold = typeof rule.threshold === 'function' ? rule.threshold() : rule.threshold;
+        const band = active ? (rule.hysteresis || 0) : 0;
+
+        switch (rule.condition) {
+            case 'below':
+                return value < threshold + band;
+            case 'above':
+                return value > threshold - band;
+            case 'equals':
+                return value === threshold;
+            default:
+                return false;
+        }
+    }
+
+    // Worst value seen while active: lowest for 'below', highest for 'above'
+    updatePeak(rule, state, value) {
+        if (typeof value !== 'number') {
+            state.peak = value;
+            return false;
+        }
+
+        const worse = state.peak === null ||
+            (rule.condition === 'below' ? value < state.peak : value > state.peak);
+        if (worse) state.peak = value;
+        return worse;
+    }
+
+    // Evaluate every rule against a reading. `scope` keeps state apart per device.
+    // Returns transitions: { type: 'start' | 'update' | 'clear', rule, value, since, duration, peak }
+    evaluate(rules, reading, scope = 'default') {
+        const transitions = [];
+        const t = reading.timestamp;
+
+        rules.forEach(rule => {
+            if (rule.enabled === false) return;
+
+            const raw = rule.read ? rule.read(reading) : window.sensorCatalog.read(reading, rule.sensor);
+            const value = raw === undefined ? null : raw;
+
+            // No value means no evidence either way - hold the current state
+            if (value === null) return;
+
+            const state = this.getState(scope, rule);
+
+            // Out-of-order readings can't move a window backwards
+            if (state.lastTimestamp !== null && t < state.lastTimestamp) return;
+
+            if (state.lastTimestamp !== null && t - state.lastTimestamp > this.maxGap) {
+                state.pendingSince = null;
+                state.clearingSince = null;
+            }
+            state.lastTimestamp = t;
+
+            const triggered = this.isTriggered(rule, value, state.active);
+
+            if (!state.active) {
+                if (!triggered) {
+                    state.pendingSince = null;
+                    return;
+                }
+
+                if (state.pendingSince === null) state.pendingSince = t;
+
+                if (t - state.pendingSince >= (rule.persistFor || 0) * 1000) {
+                    state.active = true;
+                    state.activeSince = state.pendingSince;
+                    state.clearingSince = null;
+                    state.peak = null;
+                    this.updatePeak(rule, state, value);
+
+                    transitions.push({
+                        type: 'start',
+                        rule,
+                        value,
+                        since: state.activeSince,
+                        duration: t - state.activeSince,
+                        peak: state.peak
+                    });
+                }
+                return;
+            }
+
+            if (triggered) {
+                state.clearingSince = null;
+
+                if (this.updatePeak(rule, state, value)) {
+                    transitions.push({
+                        type: 'update',
+                        rule,
+                        value,
+                        since: state.activeSince,
+                        duration: t - state.activeSince,
+                        peak: state.peak
+                    });
+                }
+                return;
+            }
+
+            if (state.clearingSince === null) state.clearingSince = t;
+
+            if (t - state.clearingSince >= (rule.clearAfter || 0) * 1000) {
+                transitions.push({
+                    type: 'clear',
+                    rule,
+                    value,
+                    since: state.activeSince,
+                    duration: state.clearingSince - state.activeSince,
+                    peak: state.peak
+                });
+
+                state.active = false;
+                state.pendingSince = null;
+                state.activeSince = null;
+                state.clearingSince = null;
+                state.peak = null;
+            }
+        });
+
+        return transitions;
+    }
+}
@@ -0,0 +1,122 @@
+/* ========================================
+   NURTHURE MONITOR - Reading Schema
+   Typed validation and plausibility ranges
+   ======================================== */
+
+class ReadingSchema {
+    constructor() {
+        // Payload versions this build understands. Firmware that sends no
+        // schema_version predates versioning and is treated as v1.
+        this.version = 1;
+        this.supportedVersions = [1];
+
+        // Reject anything outside these ranges rather than display it.
+        // Ranges are deliberately wide: they catch firmware bugs and unit
+        // mix-ups, not unusual-but-real values (that is the alerts' job).
+        this.fields = {
+            'respiration.value': { type: 'number', min: 0, max: 150 },
+            'respiration.confidence': { type: 'number', min: 0, max: 1 },
+            'audio.state': { type: 'enum', values: ['quiet', 'crying', 'babbling', 'choking', 'unknown'] },
+            'audio.level': { type: 'number', min: 0, max: 140 },
+            'bodyTemp.value': { type: 'number', min: 25, max: 45 },
+            'posture.state': { type: 'enum', values: ['supine', 'side', 'prone', 'sitting', 'unknown'] },
+            'posture.confidence': { type: 'number', min: 0, max: 1 },
+            'radar.active': { type: 'boolean' },
+            'radar.movement': { type: 'number', min: 0, max: 100 },
+            'environment.temp.value': { type: 'number', min: -10, max: 50 },
+            'environment.co2.value': { type: 'number', min: 0, max: 10000 },
+            'environment.voc.value': { type: 'number', min: 0, max: 1000 },
+            'environment.gas.safe': { type: 'boolean' }
+        };
+
+        // Earliest timestamp we accept (2020-01-01) - anything older is a Pi with no clock
+        this.minTimestamp = 1577836800000;
+        this.maxClockSkew = 24 * 60 * 60 * 1000;
+    }
+
+    // Check one field. Missing values are allowed (sensor absent) and come back as null;
+    // present-but-wrong values come back as null with an error.
+    validateField(field, raw) {
+        if (raw === undefined || raw === null) {
+            return { value: null, error: null };
+        }
+
+        const spec = this.fields[field];
+        if (!spec) {
+            return { value: raw, error: null };
+        }
+
+        switch (spec.type) {
+            case 'number':
+                if (typeof raw !== 'number' || !Number.isFinite(raw)) {
+                    return { value: null, error: { field, value: raw, reason: 'not a number' } };
+                }
+                if (raw < spec.min || raw > spec.max) {
+                    return {
+                        value: null,
+                        error: { field, value: raw, reason: `outside ${spec.min}–${spec.max}` }
+                    };
+                }
+                return { value: raw, error: null };
+
+            case 'boolean':
+                if (typeof raw !== 'boolean') {
+                    return { value: null, error: { field, value: raw, reason: 'not a boolean' } };
+                }
+                return { value: raw, error: null };
+
+            case 'enum':
+                if (!spec.values.includes(raw)) {
+                    return { value: null, error: { field, value: raw, reason: 'unknown value' } };
+                }
+                return { value: raw, error: null };
+
+            default:
+                return { value: raw, error: null };
+        }
+    }
+
+    // Temperatures may arrive in Fahrenheit - plausibility ranges are Celsius
+    toCelsius(value, unit) {
+        if (typeof value === 'number' && unit === 'F') {
+            return Math.round(((value - 32) * 5 / 9) * 100) / 100;
+        }
+        return value;
+    }
+
+    // Pi timestamps may be seconds (Python time.time()) or milliseconds
+    validateTimestamp(raw, receivedAt) {
+        if (raw === undefined || raw === null) {
+            return { value: receivedAt, error: null };
+        }
+
+        let value = typeof raw === 'string' ? Date.parse(raw) : raw;
+        if (typeof value === 'number' && value > 0 && value < 1e11) {
+            value = Math.round(value * 1000);
+        }
+
+        if (typeof value !== 'number' || !Number.isFinite(value) ||
+            value < this.minTimestamp || value > receivedAt + this.maxClockSkew) {
+            // Keep the reading, but on our clock and flagged
+            return { value: receivedAt, error: { field: 'timestamp', value: raw, reason: 'implausible clock' } };
+        }
+
+        return { value, error: null };
+    }
+
+    validateVersion(data) {
+        const version = data.schema_version ?? data.version ?? 1;
+
+        if (!this.supportedVersions.includes(version)) {
+            return {
+                value: version,
+                error: { field: 'schema_version', value: version, reason: 'unsupported version' }
+            };
+        }
+
+        return { value: version, error: null };
+    }
+}
+
+// Create global instance
+window.readingSchema = new ReadingSchema();
@@ -0,0 +1,104 @@
+/* ========================================
+   NURTHURE MONITOR - Sensor Catalog
+   One place that knows how to read each
+   sensor out of a normalized reading
+   ======================================== */
+
+class SensorCatalog {
+    constructor() {
+        // type: 'number' (charted, thresholded), 'state' (categorical) or 'boolean'.
+        // staleAfter: how long the sensor may go without a valid value (ms);
+        // environment sensors update slowly, so they get more slack.
+        this.sensors = {
+            respiration: {
+                label: 'Respiration',
+                unit: 'rpm',
+                type: 'number',
+                read: r => r.respiration?.value,
+                staleAfter: 10000
+            },
+            audio: {
+                label: 'Audio',
+                type: 'state',
+                read: r => r.audio?.state,
+                staleAfter: 15000
+            },
+            audioLevel: {
+                label: 'Audio Level',
+                unit: 'dB',
+                type: 'number',
+                read: r => r.audio?.level
+            },
+            bodyTemp: {
+                label: 'Body Temperature',
+                unit: '°C',
+                type: 'number',
+                read: r => r.bodyTemp?.value,
+                staleAfter: 30000
+            },
+            posture: {
+                label: 'Posture',
+                type: 'state',
+                read: r => r.posture?.state,
+                staleAfter: 30000
+            },
+            radar: {
+                label: 'Radar',
+                type: 'boolean',
+                read: r => r.radar?.active,
+                staleAfter: 15000
+            },
+            movement: {
+                label: 'Movement',
+                unit: '',
+                type: 'number',
+                read: r => r.radar?.movement
+            },
+            envTemp: {
+                label: 'Room Temperature',
+                unit: '°C',
+                type: 'number',
+                read: r => r.environment?.temp?.value,
+                staleAfter: 120000
+            },
+            co2: {
+                label: 'CO₂',
+                unit: 'ppm',
+                type: 'number',
+                read: r => r.environment?.co2?.value,
+                staleAfter: 120000
+            },
+            voc: {
+                label: 'VOC',
+                unit: '',
+                type: 'number',
+                read: r => r.environment?.voc?.value,
+                staleAfter: 120000
+            },
+            gas: {
+                label: 'Gas',
+                type: 'boolean',
+                read: r => r.environment?.gas?.safe,
+                staleAfter: 120000
+            }
+        };
+    }
+
+    get(key) {
+        return this.sensors[key] || null;
+    }
+
+    // Sensor value from a reading, or null when absent
+    read(reading, key) {
+        const value = this.sensors[key]?.read(reading);
+        return value === undefined ? null : value;
+    }
+
+    // Keys of sensors matching an optional filter, e.g. s => s.type === 'number'
+    keys(filter = null) {
+        return Object.keys(this.sensors).filter(key => !filter || filter(this.sensors[key]));
+    }
+}
+
+// Create global instance
+window.sensorCatalog = new SensorCatalog();
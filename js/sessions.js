@@ -0,0 +1,375 @@
+/* ========================================
+   NURTHURE MONITOR - Sleep Sessions
+   Groups readings into sleep sessions and
+   summarizes each night
+   ======================================== */
+
+class SessionManager {
+    constructor() {
+        // A reading is "settled" when the baby is still and quiet, "restless"
+        // when moving, crying or sitting up. Anything in between holds the
+        // current state.
+        this.settledMovement = 15;      // radar.movement at or below
+        this.restlessMovement = 40;     // radar.movement at or above
+        this.restlessAudio = ['crying', 'babbling'];
+        this.lyingPostures = ['supine', 'side', 'prone'];
+
+        this.sleepOnset = 10 * 60 * 1000;      // Settled this long = asleep (from when it settled)
+        this.wakeAfter = 60 * 1000;            // Restless this long = a wake-up
+        this.sessionEndAfter = 20 * 60 * 1000; // Awake this long = the session is over
+        this.maxGap = 30 * 60 * 1000;          // No data this long ends a session at the last reading
+
+        // One reading accounts for at most this much time in posture totals,
+        // so a dropped connection doesn't pile hours onto the last posture
+        this.maxSampleGap = 30000;
+
+        // Write an in-progress session back at most this often (reading time)
+        this.saveInterval = 60000;
+
+        this.trackers = {};
+
+        this.listeners = {
+            started: [],
+            updated: [],
+            ended: []
+        };
+    }
+
+    // Initialize: pick up sessions left running by the last page load
+    async init() {
+        if (!window.storageManager || !window.storageManager.db) return;
+
+        const recent = await window.storageManager.getSessions(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        for (const session of recent.filter(s => s.status === 'active')) {
+            if (Date.now() - session.lastSeenAt > this.maxGap) {
+                await this.finishSession(session, session.lastSeenAt, 'gap');
+            } else {
+                const tracker = this.getTracker(session.deviceId);
+                tracker.session = session;
+                tracker.lastTimestamp = session.lastSeenAt;
+                tracker.saving = Promise.resolve();
+            }
+        }
+
+        console.log('[Sessions] Initialized');
+    }
+
+    // Event system
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    getTracker(deviceId) {
+        if (!this.trackers[deviceId]) {
+            this.trackers[deviceId] = {
+                session: null,
+                saving: null,
+                lastSavedAt: null,
+                settledSince: null,
+                restlessSince: null,
+                lastTimestamp: null,
+                lastPosture: null,
+                // Stats gathered while falling asleep, handed to the session when it starts
+                onsetStats: this.createStats(),
+                // Stats during a wake-up: kept if the baby settles again, dropped
+                // if the wake-up turns out to be the end of the session
+                wakeStats: this.createStats()
+            };
+        }
+        return this.trackers[deviceId];
+    }
+
+    // Session in progress for a device, or null
+    getActiveSession(deviceId) {
+        return this.trackers[deviceId]?.session || null;
+    }
+
+    createStats() {
+        return {
+            respiration: { sum: 0, count: 0 },
+            envTemp: { sum: 0, count: 0 },
+            co2: { sum: 0, count: 0 },
+            voc: { sum: 0, count: 0 },
+            posture: {}   // posture state -> ms
+        };
+    }
+
+    // 'settled' | 'restless' | null (no evidence either way)
+    classify(reading) {
+        const catalog = window.sensorCatalog;
+        const movement = catalog.read(reading, 'movement');
+        const audio = catalog.read(reading, 'audio');
+        const posture = catalog.read(reading, 'posture');
+
+        if ((movement !== null && movement >= this.restlessMovement) ||
+            this.restlessAudio.includes(audio) ||
+            posture === 'sitting') {
+            return 'restless';
+        }
+
+        if (movement !== null) {
+            return movement <= this.settledMovement ? 'settled' : null;
+        }
+
+        // No radar: fall back to quiet and lying down
+        if (audio === 'quiet' && this.lyingPostures.includes(posture)) {
+            return 'settled';
+        }
+
+        return null;
+    }
+
+    mergeStats(target, source) {
+        ['respiration', 'envTemp', 'co2', 'voc'].forEach(key => {
+            target[key].sum += source[key].sum;
+            target[key].count += source[key].count;
+        });
+        Object.entries(source.posture).forEach(([posture, ms]) => {
+            target.posture[posture] = (target.posture[posture] || 0) + ms;
+        });
+    }
+
+    accumulate(stats, tracker, reading) {
+        const catalog = window.sensorCatalog;
+
+        ['respiration', 'envTemp', 'co2', 'voc'].forEach(key => {
+            const value = catalog.read(reading, key);
+            if (typeof value === 'number') {
+                stats[key].sum += value;
+                stats[key].count++;
+            }
+        });
+
+        // Time since the last reading goes to the posture seen then
+        if (tracker.lastPosture && tracker.lastTimestamp !== null) {
+            const elapsed = Math.min(reading.timestamp - tracker.lastTimestamp, this.maxSampleGap);
+            stats.posture[tracker.lastPosture] = (stats.posture[tracker.lastPosture] || 0) + elapsed;
+        }
+    }
+
+    // Feed every reading through here (all devices)
+    processReading(reading) {
+        const deviceId = reading.deviceId || 'default';
+        const t = reading.timestamp;
+        const tracker = this.getTracker(deviceId);
+
+        // Duplicates and out-of-order readings would count time twice
+        if (tracker.lastTimestamp !== null && t <= tracker.lastTimestamp) return;
+
+        if (tracker.lastTimestamp !== null && t - tracker.lastTimestamp > this.maxGap) {
+            if (tracker.session) {
+                this.endSession(deviceId, tracker.lastTimestamp, 'gap');
+            }
+            tracker.settledSince = null;
+            tracker.restlessSince = null;
+            tracker.lastPosture = null;
+            tracker.onsetStats = this.createStats();
+        }
+
+        const activity = this.classify(reading);
+        if (activity === 'settled') {
+            tracker.restlessSince = null;
+            if (tracker.settledSince === null) {
+                tracker.settledSince = t;
+                tracker.onsetStats = this.createStats();
+            }
+        } else if (activity === 'restless') {
+            tracker.settledSince = null;
+            if (tracker.restlessSince === null) tracker.restlessSince = t;
+        }
+
+        const session = tracker.session;
+
+        if (!session) {
+            if (tracker.settledSince !== null) {
+                this.accumulate(tracker.onsetStats, tracker, reading);
+
+                if (t - tracker.settledSince >= this.sleepOnset) {
+                    this.startSession(deviceId, tracker.settledSince, 'auto', tracker.onsetStats);
+                }
+            }
+        } else {
+            this.accumulate(session.currentWake ? tracker.wakeStats : session.stats, tracker, reading);
+            session.lastSeenAt = t;
+            this.trackWakes(deviceId, tracker, session, activity, t);
+        }
+
+        tracker.lastTimestamp = t;
+        tracker.lastPosture = window.sensorCatalog.read(reading, 'posture') || tracker.lastPosture;
+
+        if (tracker.session && t - tracker.lastSavedAt >= this.saveInterval) {
+            this.persist(tracker);
+        }
+    }
+
+    trackWakes(deviceId, tracker, session, activity, t) {
+        if (!session.currentWake && tracker.restlessSince !== null &&
+            t - tracker.restlessSince >= this.wakeAfter) {
+            session.currentWake = { start: tracker.restlessSince };
+            tracker.wakeStats = this.createStats();
+            this.emit('updated', session);
+        }
+
+        if (session.currentWake && activity === 'settled') {
+            session.wakes.push({ start: session.currentWake.start, end: t });
+            session.currentWake = null;
+            this.mergeStats(session.stats, tracker.wakeStats);
+            this.persist(tracker);
+            this.emit('updated', session);
+            return;
+        }
+
+        // Up for good. A session the caregiver started waits for them to end it.
+        if (session.source === 'auto' && session.currentWake &&
+            t - session.currentWake.start >= this.sessionEndAfter) {
+            const end = session.currentWake.start;
+            session.currentWake = null;
+            this.endSession(deviceId, end, 'awake');
+        }
+    }
+
+    // ========== START / END ==========
+
+    // Start a session. `source` is 'auto' (detected) or 'manual' (marked by a caregiver).
+    startSession(deviceId, startedAt = Date.now(), source = 'manual', stats = null) {
+        const tracker = this.getTracker(deviceId);
+        if (tracker.session) return tracker.session;
+
+        const session = {
+            deviceId,
+            startedAt,
+            endedAt: null,
+            lastSeenAt: tracker.lastTimestamp ?? startedAt,
+            source,
+            status: 'active',
+            endReason: null,
+            wakes: [],
+            currentWake: null,
+            stats: stats || this.createStats(),
+            summary: null
+        };
+
+        tracker.session = session;
+        tracker.lastSavedAt = session.lastSeenAt;
+        tracker.saving = window.storageManager?.db
+            ? window.storageManager.saveSession(session).then(id => {
+                session.id = id;
+            })
+            : Promise.resolve();
+
+        console.log(`[Sessions] ${window.deviceRegistry?.getDeviceName(deviceId) || deviceId}: sleep started (${source})`);
+        this.emit('started', session);
+        return session;
+    }
+
+    // End the device's session. `reason`: 'manual', 'awake' or 'gap'.
+    async endSession(deviceId, endedAt = null, reason = 'manual') {
+        const tracker = this.getTracker(deviceId);
+        const session = tracker.session;
+        if (!session) return null;
+
+        tracker.session = null;
+        tracker.settledSince = null;
+        tracker.onsetStats = this.createStats();
+
+        await tracker.saving;
+        return this.finishSession(session, endedAt ?? Math.max(session.lastSeenAt, Date.now()), reason);
+    }
+
+    async finishSession(session, endedAt, reason) {
+        // A wake-up still going when the session ends is part of the end, not a wake-up
+        if (session.currentWake) {
+            endedAt = Math.min(endedAt, session.currentWake.start);
+            session.currentWake = null;
+        }
+
+        session.endedAt = Math.max(endedAt, session.startedAt);
+        session.endReason = reason;
+        session.status = 'complete';
+        session.summary = await this.summarize(session);
+
+        if (window.storageManager?.db && session.id !== undefined) {
+            await window.storageManager.updateSession(session);
+        }
+
+        console.log(`[Sessions] Sleep ended (${reason}) after ${Math.round((session.endedAt - session.startedAt) / 60000)} min`);
+        this.emit('ended', session);
+        return session;
+    }
+
+    async persist(tracker) {
+        const session = tracker.session;
+        if (!session) return;
+
+        tracker.lastSavedAt = session.lastSeenAt;
+        await tracker.saving;
+        if (window.storageManager?.db && session.id !== undefined) {
+            await window.storageManager.updateSession(session);
+        }
+    }
+
+    // ========== SUMMARY ==========
+
+    // Nightly summary. Works on a finished session or one still in progress.
+    async summarize(session) {
+        const end = session.endedAt ?? session.lastSeenAt;
+        const inBed = Math.max(0, end - session.startedAt);
+
+        const wakes = [...session.wakes];
+        if (session.currentWake) {
+            wakes.push({ start: session.currentWake.start, end });
+        }
+        const awake = wakes.reduce((total, wake) => total + (wake.end - wake.start), 0);
+
+        const average = ({ sum, count }) => count > 0 ? Math.round((sum / count) * 10) / 10 : null;
+
+        const alerts = { total: 0, CRITICAL: 0, WARNING: 0, INFO: 0, titles: [] };
+        if (window.storageManager?.db) {
+            const all = await window.storageManager.getAlerts(null, session.deviceId);
+            all.filter(alert => alert.timestamp >= session.startedAt && alert.timestamp <= end)
+                .forEach(alert => {
+                    alerts.total++;
+                    alerts[alert.severity] = (alerts[alert.severity] || 0) + 1;
+                    if (!alerts.titles.includes(alert.title)) alerts.titles.push(alert.title);
+                });
+        }
+
+        return {
+            inBed,
+            totalSleep: Math.max(0, inBed - awake),
+            wakeUps: wakes.length,
+            longestWake: wakes.reduce((longest, wake) => Math.max(longest, wake.end - wake.start), 0),
+            posture: { ...session.stats.posture },
+            alerts,
+            averages: {
+                respiration: average(session.stats.respiration),
+                envTemp: average(session.stats.envTemp),
+                co2: average(session.stats.co2),
+                voc: average(session.stats.voc)
+            }
+        };
+    }
+
+    // Most recent session for a device (in progress or finished), with a summary
+    async getLastSession(deviceId) {
+        const active = this.getActiveSession(deviceId);
+        if (active) {
+            return { ...active, summary: await this.summarize(active) };
+        }
+
+        if (!window.storageManager?.db) return null;
+        const sessions = await window.storageManager.getSessions(0, Date.now(), deviceId);
+        return sessions[0] || null;
+    }
+}
+
+// Create global instance
+window.sessionManager = new SessionManager();
@@ -0,0 +1,192 @@
+/* ========================================
+   NURTHURE MONITOR - Sensor Statistics
+   Distribution, variability and time against
+   the alert thresholds, from stored readings
+   or rollups
+   ======================================== */
+
+class SensorStats {
+    // ========== SAMPLES ==========
+
+    // One sample per reading with a value for `sensor`, oldest first
+    fromReadings(readings, sensor) {
+        const catalog = window.sensorCatalog;
+
+        return readings
+            .map(reading => ({ time: reading.timestamp, value: catalog.read(reading, sensor), weight: 1 }))
+            .filter(sample => typeof sample.value === 'number');
+    }
+
+    // One sample per rollup bucket at its average, weighted by the readings
+    // in it and keeping its min/max. Rollups from several cribs should be
+    // merged first (TrendsManager.mergeRollups).
+    fromRollups(rollups, sensor) {
+        return rollups
+            .filter(rollup => rollup.values[sensor]?.count > 0)
+            .map(rollup => {
+                const stats = rollup.values[sensor];
+                return {
+                    time: rollup.bucket,
+                    value: stats.sum / stats.count,
+                    weight: stats.count,
+                    min: stats.min,
+                    max: stats.max
+                };
+            });
+    }
+
+    // ========== SUMMARY ==========
+
+    // Statistics for a list of samples. With `thresholds` ({ min, max } from
+    // AlertsManager) it adds the share of time in range, above and below, and
+    // how often the value crossed out of range.
+    //
+    // Samples from rollups are bucket averages: min and max stay exact, but
+    // percentiles, spread and time out of range describe the averages, so a
+    // spike shorter than a bucket only shows in max.
+    summarize(samples, thresholds = null) {
+        const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+
+        let count = 0;
+        let sum = 0;
+        let min = Infinity;
+        let max = -Infinity;
+        samples.forEach(sample => {
+            count += sample.weight;
+            sum += sample.value * sample.weight;
+            min = Math.min(min, sample.min ?? sample.value);
+            max = Math.max(max, sample.max ?? sample.value);
+        });
+
+        if (count === 0) {
+            return {
+                min: null, max: null, avg: null, count: 0,
+                median: null, p5: null, p95: null, stdDev: null, cv: null, rmssd: null,
+                timeInRange: null, timeAbove: null, timeBelow: null,
+                crossings: { above: 0, below: 0 }
+            };
+        }
+
+        const avg = sum / count;
+        const variance = samples.reduce((total, sample) => total + sample.weight * (sample.value - avg) ** 2, 0) / count;
+        const stdDev = Math.sqrt(variance);
+
+        const sorted = [...samples].sort((a, b) => a.value - b.value);
+
+        return {
+            min: round(min),
+            max: round(max),
+            avg: round(avg),
+            count,
+            median: round(this.percentile(sorted, count, 50)),
+            p5: round(this.percentile(sorted, count, 5)),
+            p95: round(this.percentile(sorted, count, 95)),
+            stdDev: round(stdDev),
+            // Spread relative to the average, in percent
+            cv: avg !== 0 ? round(stdDev / Math.abs(avg) * 100) : null,
+            rmssd: round(this.rmssd(samples)),
+            ...this.thresholdStats(samples, thresholds)
+        };
+    }
+
+    // Value below which `percent` of the (weighted) samples fall.
+    // `sorted` is ordered by value.
+    percentile(sorted, count, percent) {
+        const target = count * percent / 100;
+        let seen = 0;
+
+        for (const sample of sorted) {
+            seen += sample.weight;
+            if (seen >= target) return sample.value;
+        }
+        return sorted[sorted.length - 1].value;
+    }
+
+    // Usual time between samples (the median step): the poll interval for
+    // readings, the bucket size for rollups. Null with fewer than two samples.
+    sampleInterval(samples) {
+        const steps = [];
+        for (let i = 1; i < samples.length; i++) {
+            const step = samples[i].time - samples[i - 1].time;
+            if (step > 0) steps.push(step);
+        }
+        if (steps.length === 0) return null;
+
+        steps.sort((a, b) => a - b);
+        return steps[Math.floor(steps.length / 2)];
+    }
+
+    // Is the step from one sample to the next about one sample interval?
+    // Longer steps are gaps in the data (or a coarser bucket size).
+    isAdjacent(previous, sample, interval) {
+        const step = sample.time - previous.time;
+        return step > 0 && step <= interval * 1.5;
+    }
+
+    // Root mean square of successive differences: how much the value jumps
+    // from one sample to the next. For respiration this is the breathing-rate
+    // variability; steady breathing keeps it low even when the average drifts.
+    // Only neighbouring samples count - a jump across a gap isn't variability.
+    rmssd(samples) {
+        const interval = this.sampleInterval(samples);
+        if (interval === null) return null;
+
+        let total = 0;
+        let pairs = 0;
+        for (let i = 1; i < samples.length; i++) {
+            if (!this.isAdjacent(samples[i - 1], samples[i], interval)) continue;
+
+            total += (samples[i].value - samples[i - 1].value) ** 2;
+            pairs++;
+        }
+        return pairs > 0 ? Math.sqrt(total / pairs) : null;
+    }
+
+    // Percent of the time in range / above max / below min, and how many times
+    // the value went from in range to out of it. Each sample lasts until the
+    // next one, or one sample interval when the next is across a gap.
+    thresholdStats(samples, thresholds) {
+        const crossings = { above: 0, below: 0 };
+        const hasMin = typeof thresholds?.min === 'number';
+        const hasMax = typeof thresholds?.max === 'number';
+
+        if (!hasMin && !hasMax) {
+            return { timeInRange: null, timeAbove: null, timeBelow: null, crossings };
+        }
+
+        const zone = (value) => {
+            if (hasMax && value > thresholds.max) return 'above';
+            if (hasMin && value < thresholds.min) return 'below';
+            return 'in';
+        };
+
+        const interval = this.sampleInterval(samples) || 1;
+        const durations = { in: 0, above: 0, below: 0 };
+        let total = 0;
+        let previous = null;
+        samples.forEach((sample, i) => {
+            const current = zone(sample.value);
+            const next = samples[i + 1];
+            const duration = next && this.isAdjacent(sample, next, interval) ? next.time - sample.time : interval;
+            durations[current] += duration;
+            total += duration;
+
+            if (previous !== null && current !== previous && current !== 'in') {
+                crossings[current]++;
+            }
+            previous = current;
+        });
+
+        const percent = (duration) => Math.round(duration / total * 1000) / 10;
+
+        return {
+            timeInRange: percent(durations.in),
+            timeAbove: hasMax ? percent(durations.above) : null,
+            timeBelow: hasMin ? percent(durations.below) : null,
+            crossings
+        };
+    }
+}
+
+// Create global instance
+window.sensorStats = new SensorStats();
@@ -1,15 +1,160 @@
 /* ========================================
    NURTHURE MONITOR - Local Storage (IndexedDB)
-   Stores readings, alerts, and settings
+   Stores readings, alerts, sleep sessions and settings
    ======================================== */
 
 class StorageManager {
     constructor() {
         this.dbName = 'nurthure-monitor';
-        this.dbVersion = 1;
         this.db = null;
-        this.maxReadings = 10000; // Keep last 10k readings
-        this.maxAlerts = 500;     // Keep last 500 alerts
+
+        // Downsampled copies of the readings, filled in as readings are saved.
+        // Long time ranges read these instead of raw readings.
+        this.rollupResolutions = {
+            minute: { store: 'rollups_minute', size: 60 * 1000 },
+            hour: { store: 'rollups_hour', size: 60 * 60 * 1000 }
+        };
+
+        // Schema migrations, oldest first. Opening a database runs every
+        // migration newer than its version, in order, in one upgrade
+        // transaction. Never edit a released migration - add a new one.
+        this.migrations = [
+            {
+                version: 1,
+                description: 'readings, alerts and settings',
+                migrate: (db) => {
+                    const readingsStore = db.createObjectStore('readings', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    readingsStore.createIndex('timestamp', 'timestamp', { unique: false });
+
+                    const alertsStore = db.createObjectStore('alerts', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    alertsStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    alertsStore.createIndex('severity', 'severity', { unique: false });
+                    alertsStore.createIndex('acknowledged', 'acknowledged', { unique: false });
+
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                }
+            },
+            {
+                version: 2,
+                description: 'tag readings and alerts with their device',
+                migrate: (db, transaction) => {
+                    const readingsStore = transaction.objectStore('readings');
+                    readingsStore.createIndex('deviceId_timestamp', ['deviceId', 'timestamp'], { unique: false });
+                    this.tagLegacyRecords(readingsStore);
+
+                    const alertsStore = transaction.objectStore('alerts');
+                    alertsStore.createIndex('deviceId', 'deviceId', { unique: false });
+                    this.tagLegacyRecords(alertsStore);
+                }
+            },
+            {
+                version: 3,
+                description: 'sleep sessions',
+                migrate: (db) => {
+                    const sessionsStore = db.createObjectStore('sessions', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    sessionsStore.createIndex('startedAt', 'startedAt', { unique: false });
+                    sessionsStore.createIndex('deviceId_startedAt', ['deviceId', 'startedAt'], { unique: false });
+                }
+            },
+            {
+                version: 4,
+                description: 'per-minute and per-hour rollups',
+                migrate: (db, transaction) => {
+                    Object.values(this.rollupResolutions).forEach(({ store }) => {
+                        const rollupStore = db.createObjectStore(store, { keyPath: ['deviceId', 'bucket'] });
+                        rollupStore.createIndex('bucket', 'bucket', { unique: false });
+                    });
+                    this.backfillRollups(transaction);
+                }
+            }
+        ];
+        this.dbVersion = this.migrations[this.migrations.length - 1].version;
+
+        // How long each store keeps its records (ms, null = forever). Saved
+        // in settings as 'retention'; see setRetention().
+        const HOUR = 60 * 60 * 1000;
+        const DAY = 24 * HOUR;
+        this.retentionDefaults = {
+            readings: 48 * HOUR,
+            rollups_minute: 90 * DAY,
+            rollups_hour: 2 * 365 * DAY,
+            alerts: 365 * DAY,
+            sessions: null
+        };
+        this.retentionOptions = {
+            readings: [24 * HOUR, 48 * HOUR, 7 * DAY, 30 * DAY],
+            rollups_minute: [30 * DAY, 90 * DAY, 365 * DAY],
+            rollups_hour: [365 * DAY, 2 * 365 * DAY, 5 * 365 * DAY, null],
+            alerts: [90 * DAY, 365 * DAY, null],
+            sessions: [365 * DAY, null]
+        };
+        this.retention = { ...this.retentionDefaults };
+
+        // Which index holds each store's record time
+        this.retentionIndexes = {
+            readings: 'timestamp',
+            rollups_minute: 'bucket',
+            rollups_hour: 'bucket',
+            alerts: 'timestamp',
+            sessions: 'startedAt'
+        };
+
+        // Over this share of the browser's quota, raw readings and then minute
+        // rollups are cut back harder than the policy says, halving their
+        // window each time, but never below the floor.
+        this.quotaLimit = 0.8;
+        this.quotaFloors = {
+            readings: 6 * HOUR,
+            rollups_minute: 7 * DAY
+        };
+
+        // Cleanup runs in the background in small transactions, so it never
+        // holds up saveReading() for long
+        this.retentionInterval = 15 * 60 * 1000;
+        this.retentionBatchSize = 500;
+        this.retentionTimer = null;
+        this.retentionRunning = null;
+        this.lastRetention = null;   // { at, deleted: { store: count }, usage, overQuota }
+
+        // Readings are queued and written in one transaction per batch:
+        // every writeBatchSize readings or writeInterval ms, whichever comes first
+        this.writeBatchSize = 20;
+        this.writeInterval = 1000;
+        this.writeQueue = [];        // { record, resolve, reject }
+        this.writing = 0;            // readings in the batch being written
+        this.writeChain = Promise.resolve();
+        this.writeTimer = null;
+
+        // More readings than this waiting = writes have fallen behind
+        this.backpressureLimit = 200;
+        this.backpressure = false;
+
+        this.listeners = {
+            backpressure: [],
+            written: []
+        };
+    }
+
+    // Event system
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
     }
 
     // Initialize database
@@ -22,99 +167,325 @@ class StorageManager {
                 reject(request.error);
             };
 
+            // Another tab still has the old version open
+            request.onblocked = () => {
+                console.warn('[Storage] Upgrade waiting for other tabs to close');
+            };
+
             request.onsuccess = () => {
                 this.db = request.result;
+
+                // Let a newer version in another tab upgrade the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    console.warn('[Storage] Database upgraded elsewhere - reload to continue');
+                };
+
                 console.log('[Storage] Database opened successfully');
+                this.startRetention();
+
+                // Don't lose the queued readings when the tab is hidden or closed
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'hidden') this.flush();
+                });
+                window.addEventListener('pagehide', () => this.flush());
                 resolve(this.db);
             };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Readings store - indexed by timestamp
-                if (!db.objectStoreNames.contains('readings')) {
-                    const readingsStore = db.createObjectStore('readings', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    readingsStore.createIndex('timestamp', 'timestamp', { unique: false });
-                }
+                this.migrate(event.target.result, event.target.transaction, event.oldVersion);
+            };
+        });
+    }
 
-                // Alerts store
-                if (!db.objectStoreNames.contains('alerts')) {
-                    const alertsStore = db.createObjectStore('alerts', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    alertsStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    alertsStore.createIndex('severity', 'severity', { unique: false });
-                    alertsStore.createIndex('acknowledged', 'acknowledged', { unique: false });
-                }
+    // Run every migration newer than `fromVersion`. A failing migration aborts
+    // the upgrade, leaving the database at its old version.
+    migrate(db, transaction, fromVersion) {
+        const pending = this.migrations.filter(migration => migration.version > fromVersion);
+
+        for (const migration of pending) {
+            try {
+                console.log(`[Storage] Migrating to v${migration.version}: ${migration.description}`);
+                migration.migrate(db, transaction);
+            } catch (error) {
+                console.error(`[Storage] Migration to v${migration.version} failed:`, error);
+                transaction.abort();
+                return;
+            }
+        }
+    }
 
-                // Settings store
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
-                }
+    // Records from before multi-device support belong to the original Pi
+    tagLegacyRecords(store) {
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
 
-                console.log('[Storage] Database schema created');
-            };
-        });
+            if (!cursor.value.deviceId) {
+                cursor.update({ ...cursor.value, deviceId: 'default' });
+            }
+            cursor.continue();
+        };
     }
 
     // ========== READINGS ==========
 
-    // Save a reading
+    // Save a reading. Resolves with its id once the batch it joined is written.
     async saveReading(reading) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['readings'], 'readwrite');
-            const store = transaction.objectStore('readings');
-
             const record = {
                 ...reading,
                 timestamp: reading.timestamp || Date.now()
             };
 
-            const request = store.add(record);
+            this.writeQueue.push({ record, resolve, reject });
+            this.checkBackpressure();
 
-            request.onsuccess = () => {
-                resolve(request.result);
-                this.cleanupOldReadings();
+            if (this.writeQueue.length >= this.writeBatchSize) {
+                this.flush();
+            } else if (!this.writeTimer) {
+                this.writeTimer = setTimeout(() => this.flush(), this.writeInterval);
+            }
+        });
+    }
+
+    // Save many readings at once (imports), bypassing the queue but keeping
+    // its order. Resolves with their ids.
+    async saveReadings(readings, batchSize = 500) {
+        await this.flush();
+
+        const ids = [];
+        for (let start = 0; start < readings.length; start += batchSize) {
+            let failure = null;
+            const batch = readings.slice(start, start + batchSize).map(reading => ({
+                record: { ...reading, timestamp: reading.timestamp || Date.now() },
+                resolve: id => ids.push(id),
+                reject: error => { failure = error; }
+            }));
+
+            // Not counted as backpressure - nothing live is waiting on these
+            this.writeChain = this.writeChain.then(() => this.writeBatch(batch, false));
+            await this.writeChain;
+            if (failure) throw failure;
+        }
+
+        return ids;
+    }
+
+    // Write every queued reading now. Resolves once they are stored.
+    async flush() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+
+        if (this.writeQueue.length > 0) {
+            const batch = this.writeQueue;
+            this.writeQueue = [];
+
+            // Batches are written one after another, in the order they were queued
+            this.writeChain = this.writeChain.then(() => this.writeBatch(batch));
+        }
+
+        return this.writeChain;
+    }
+
+    // Write a batch of readings and their rollups in one transaction
+    writeBatch(batch, queued = true) {
+        if (queued) this.writing = batch.length;
+
+        return new Promise((resolve) => {
+            const fail = (error) => {
+                console.error(`[Storage] Failed to write ${batch.length} readings:`, error);
+                batch.forEach(entry => entry.reject(error));
+                resolve();
             };
 
+            if (!this.db) {
+                fail(new Error('Database is closed'));
+                return;
+            }
+
+            // Opening the transaction throws if the connection is closing or
+            // being upgraded - fail this batch, but keep the queue going
+            let transaction;
+            let store;
+            try {
+                const rollupStores = Object.values(this.rollupResolutions).map(({ store }) => store);
+                transaction = this.db.transaction(['readings', ...rollupStores], 'readwrite');
+                store = transaction.objectStore('readings');
+            } catch (error) {
+                fail(error);
+                return;
+            }
+
+            const ids = batch.map(() => null);
+            batch.forEach((entry, i) => {
+                store.add(entry.record).onsuccess = (event) => {
+                    ids[i] = event.target.result;
+                };
+            });
+            this.updateRollups(transaction, batch.map(entry => entry.record));
+
+            transaction.oncomplete = () => {
+                batch.forEach((entry, i) => entry.resolve(ids[i]));
+                this.emit('written', {
+                    count: batch.length,
+                    deviceIds: [...new Set(batch.map(entry => entry.record.deviceId || 'default'))]
+                });
+                resolve();
+            };
+            transaction.onerror = () => fail(transaction.error);
+            transaction.onabort = () => fail(transaction.error);
+        }).finally(() => {
+            this.writing = 0;
+            this.checkBackpressure();
+        });
+    }
+
+    // Emit 'backpressure' when the queue passes the limit, and again
+    // (active: false) once it has drained below half of it
+    checkBackpressure() {
+        const queued = this.writeQueue.length + this.writing;
+
+        if (!this.backpressure && queued > this.backpressureLimit) {
+            this.backpressure = true;
+            console.warn(`[Storage] Writes falling behind: ${queued} readings waiting`);
+            this.emit('backpressure', { active: true, queued });
+        } else if (this.backpressure && queued <= this.backpressureLimit / 2) {
+            this.backpressure = false;
+            console.log('[Storage] Writes caught up');
+            this.emit('backpressure', { active: false, queued });
+        }
+    }
+
+    // Get readings by time range (optionally for one device)
+    async getReadings(startTime, endTime, deviceId = null) {
+        await this.flush();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['readings'], 'readonly');
+            const store = transaction.objectStore('readings');
+
+            let request;
+            if (deviceId) {
+                const index = store.index('deviceId_timestamp');
+                request = index.getAll(IDBKeyRange.bound([deviceId, startTime], [deviceId, endTime]));
+            } else {
+                const index = store.index('timestamp');
+                request = index.getAll(IDBKeyRange.bound(startTime, endTime));
+            }
+
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
-    // Get readings by time range
-    async getReadings(startTime, endTime) {
+    // Number of readings in a range, without loading them
+    async countReadings(startTime, endTime, deviceId = null) {
+        await this.flush();
+
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['readings'], 'readonly');
             const store = transaction.objectStore('readings');
-            const index = store.index('timestamp');
-            const range = IDBKeyRange.bound(startTime, endTime);
 
-            const request = index.getAll(range);
+            const request = deviceId
+                ? store.index('deviceId_timestamp').count(IDBKeyRange.bound([deviceId, startTime], [deviceId, endTime]))
+                : store.index('timestamp').count(IDBKeyRange.bound(startTime, endTime));
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
+    // Walk readings in a range oldest first, `batchSize` at a time, each batch
+    // read in its own short transaction so the caller can await between
+    // batches. Stops early if onBatch returns false. Resolves with the count.
+    async iterateReadings(startTime, endTime, deviceId, onBatch, batchSize = 500) {
+        await this.flush();
+
+        const indexName = deviceId ? 'deviceId_timestamp' : 'timestamp';
+        const upper = deviceId ? [deviceId, endTime] : endTime;
+        let lower = deviceId ? [deviceId, startTime] : startTime;
+        // Readings share timestamps across cribs: resume at the last key and
+        // skip the ones already returned with it
+        let seenAtLower = new Set();
+        let total = 0;
+
+        while (this.db) {
+            const batch = await this.readBatch(indexName, IDBKeyRange.bound(lower, upper), seenAtLower, batchSize);
+            if (batch.records.length > 0) {
+                total += batch.records.length;
+                if (await onBatch(batch.records) === false) break;
+            }
+            if (batch.done) break;
+
+            if (indexedDB.cmp(batch.lastKey, lower) !== 0) seenAtLower = new Set();
+            batch.lastKeyIds.forEach(id => seenAtLower.add(id));
+            lower = batch.lastKey;
+        }
+
+        return total;
+    }
+
+    readBatch(indexName, range, skip, batchSize) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['readings'], 'readonly');
+            const index = transaction.objectStore('readings').index(indexName);
+
+            const records = [];
+            let lastKey = null;
+            let lastKeyIds = [];
+            let done = true;
+
+            index.openCursor(range).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                if (skip.has(cursor.primaryKey)) {
+                    cursor.continue();
+                    return;
+                }
+                if (records.length >= batchSize) {
+                    done = false;
+                    return;
+                }
+
+                if (lastKey === null || indexedDB.cmp(cursor.key, lastKey) !== 0) {
+                    lastKeyIds = [];
+                }
+                records.push(cursor.value);
+                lastKey = cursor.key;
+                lastKeyIds.push(cursor.primaryKey);
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve({ records, done, lastKey, lastKeyIds });
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     // Get readings for last N hours
-    async getReadingsLastHours(hours) {
+    async getReadingsLastHours(hours, deviceId = null) {
         const endTime = Date.now();
         const startTime = endTime - (hours * 60 * 60 * 1000);
-        return this.getReadings(startTime, endTime);
+        return this.getReadings(startTime, endTime, deviceId);
     }
 
-    // Get latest reading
-    async getLatestReading() {
+    // Get latest reading (optionally for one device)
+    async getLatestReading(deviceId = null) {
+        await this.flush();
+
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['readings'], 'readonly');
             const store = transaction.objectStore('readings');
-            const index = store.index('timestamp');
 
-            const request = index.openCursor(null, 'prev');
+            let request;
+            if (deviceId) {
+                const index = store.index('deviceId_timestamp');
+                request = index.openCursor(IDBKeyRange.bound([deviceId, 0], [deviceId, Infinity]), 'prev');
+            } else {
+                request = store.index('timestamp').openCursor(null, 'prev');
+            }
 
             request.onsuccess = () => {
                 const cursor = request.result;
@@ -125,31 +496,235 @@ class StorageManager {
         });
     }
 
-    // Cleanup old readings (keep only maxReadings)
-    async cleanupOldReadings() {
-        const transaction = this.db.transaction(['readings'], 'readwrite');
-        const store = transaction.objectStore('readings');
+    // ========== ROLLUPS ==========
 
-        const countRequest = store.count();
-        countRequest.onsuccess = () => {
-            const count = countRequest.result;
-            if (count > this.maxReadings) {
-                const deleteCount = count - this.maxReadings;
-                const cursorRequest = store.openCursor();
-                let deleted = 0;
+    // Start of the bucket a timestamp falls in
+    getBucket(timestamp, size) {
+        return Math.floor(timestamp / size) * size;
+    }
 
-                cursorRequest.onsuccess = (event) => {
-                    const cursor = event.target.result;
-                    if (cursor && deleted < deleteCount) {
-                        cursor.delete();
-                        deleted++;
-                        cursor.continue();
-                    }
+    createRollup(deviceId, bucket) {
+        return {
+            deviceId,
+            bucket,
+            count: 0,
+            values: {},   // numeric sensor -> { min, max, sum, count }
+            states: {}    // state/boolean sensor -> { value: count }
+        };
+    }
+
+    // Fold one reading into a rollup
+    addToRollup(rollup, reading) {
+        const catalog = window.sensorCatalog;
+        rollup.count++;
+
+        catalog.keys().forEach(key => {
+            const value = catalog.read(reading, key);
+            if (value === null) return;
+
+            if (catalog.get(key).type === 'number') {
+                const stats = rollup.values[key];
+                if (stats) {
+                    stats.min = Math.min(stats.min, value);
+                    stats.max = Math.max(stats.max, value);
+                    stats.sum += value;
+                    stats.count++;
+                } else {
+                    rollup.values[key] = { min: value, max: value, sum: value, count: 1 };
+                }
+            } else {
+                const counts = rollup.states[key] || (rollup.states[key] = {});
+                counts[value] = (counts[value] || 0) + 1;
+            }
+        });
+
+        return rollup;
+    }
+
+    // Add one rollup's counts into another
+    combineRollups(target, source) {
+        target.count += source.count;
+
+        Object.entries(source.values).forEach(([key, stats]) => {
+            const existing = target.values[key];
+            if (!existing) {
+                target.values[key] = { ...stats };
+                return;
+            }
+            existing.min = Math.min(existing.min, stats.min);
+            existing.max = Math.max(existing.max, stats.max);
+            existing.sum += stats.sum;
+            existing.count += stats.count;
+        });
+
+        Object.entries(source.states).forEach(([key, counts]) => {
+            const existing = target.states[key] || (target.states[key] = {});
+            Object.entries(counts).forEach(([value, count]) => {
+                existing[value] = (existing[value] || 0) + count;
+            });
+        });
+
+        return target;
+    }
+
+    // Take one rollup's counts back out of another. Min and max can't be
+    // taken out and are left as they are.
+    subtractRollups(target, source) {
+        target.count -= source.count;
+
+        Object.entries(source.values).forEach(([key, stats]) => {
+            const existing = target.values[key];
+            if (!existing) return;
+
+            existing.sum -= stats.sum;
+            existing.count -= stats.count;
+            if (existing.count <= 0) delete target.values[key];
+        });
+
+        Object.entries(source.states).forEach(([key, counts]) => {
+            const existing = target.states[key];
+            if (!existing) return;
+
+            Object.entries(counts).forEach(([value, count]) => {
+                existing[value] = (existing[value] || 0) - count;
+                if (existing[value] <= 0) delete existing[value];
+            });
+        });
+
+        return target;
+    }
+
+    // Add readings to their minute and hour rollups within `transaction`.
+    // The batch is folded in memory first so each bucket is read and written once.
+    updateRollups(transaction, readings) {
+        Object.values(this.rollupResolutions).forEach(({ store, size }) => {
+            const rollupStore = transaction.objectStore(store);
+            const pending = new Map();
+
+            readings.forEach(reading => {
+                const deviceId = reading.deviceId || 'default';
+                const bucket = this.getBucket(reading.timestamp, size);
+                const key = `${deviceId}:${bucket}`;
+
+                if (!pending.has(key)) pending.set(key, this.createRollup(deviceId, bucket));
+                this.addToRollup(pending.get(key), reading);
+            });
+
+            pending.forEach(partial => {
+                const getRequest = rollupStore.get([partial.deviceId, partial.bucket]);
+                getRequest.onsuccess = () => {
+                    rollupStore.put(getRequest.result
+                        ? this.combineRollups(getRequest.result, partial)
+                        : partial);
                 };
+            });
+        });
+    }
+
+    // Build rollups for readings stored before rollups existed (runs in the upgrade)
+    backfillRollups(transaction) {
+        const rollups = {};
+        Object.keys(this.rollupResolutions).forEach(resolution => {
+            rollups[resolution] = {};
+        });
+
+        transaction.objectStore('readings').openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+
+            if (cursor) {
+                const reading = cursor.value;
+                const deviceId = reading.deviceId || 'default';
+
+                Object.entries(this.rollupResolutions).forEach(([resolution, { size }]) => {
+                    const bucket = this.getBucket(reading.timestamp, size);
+                    const key = `${deviceId}:${bucket}`;
+                    rollups[resolution][key] = this.addToRollup(
+                        rollups[resolution][key] || this.createRollup(deviceId, bucket),
+                        reading
+                    );
+                });
+
+                cursor.continue();
+                return;
             }
+
+            Object.entries(this.rollupResolutions).forEach(([resolution, { store }]) => {
+                const rollupStore = transaction.objectStore(store);
+                Object.values(rollups[resolution]).forEach(rollup => rollupStore.put(rollup));
+            });
         };
     }
 
+    // Recompute one device's minute and hour rollups from its stored readings
+    // in a time range, replacing the stored buckets (e.g. after readings are
+    // merged in from a backup). The range is widened to whole hours so every
+    // bucket is rebuilt from all of its stored readings - callers keep it to
+    // where no reading has been purged yet. Resolves with the number of
+    // rollups written.
+    async rebuildRollups(startTime, endTime, deviceId) {
+        const hour = this.rollupResolutions.hour.size;
+        const start = this.getBucket(startTime, hour);
+        const end = this.getBucket(endTime, hour) + hour - 1;
+
+        const pending = {};
+        Object.keys(this.rollupResolutions).forEach(resolution => {
+            pending[resolution] = new Map();
+        });
+        let written = 0;
+
+        // Write the buckets that start before `before`; readings come oldest
+        // first, so those are complete
+        const writeDone = async (before) => {
+            for (const [resolution, { store }] of Object.entries(this.rollupResolutions)) {
+                const done = [...pending[resolution].values()].filter(rollup => rollup.bucket < before);
+                done.forEach(rollup => pending[resolution].delete(rollup.bucket));
+                written += await this.putRecords(store, done);
+            }
+        };
+
+        await this.iterateReadings(start, end, deviceId, async (readings) => {
+            readings.forEach(reading => {
+                Object.entries(this.rollupResolutions).forEach(([resolution, { size }]) => {
+                    const bucket = this.getBucket(reading.timestamp, size);
+                    if (!pending[resolution].has(bucket)) {
+                        pending[resolution].set(bucket, this.createRollup(deviceId, bucket));
+                    }
+                    this.addToRollup(pending[resolution].get(bucket), reading);
+                });
+            });
+
+            await writeDone(this.getBucket(readings[readings.length - 1].timestamp, hour));
+        });
+        await writeDone(Infinity);
+
+        return written;
+    }
+
+    // Rollups ('minute' or 'hour') whose bucket starts in a time range,
+    // optionally for one device, oldest first
+    async getRollups(resolution, startTime, endTime, deviceId = null) {
+        await this.flush();
+
+        return new Promise((resolve, reject) => {
+            const { store: storeName, size } = this.rollupResolutions[resolution];
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+
+            // Include the bucket that startTime falls in
+            const from = this.getBucket(startTime, size);
+
+            let request;
+            if (deviceId) {
+                request = store.getAll(IDBKeyRange.bound([deviceId, from], [deviceId, endTime]));
+            } else {
+                request = store.index('bucket').getAll(IDBKeyRange.bound(from, endTime));
+            }
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.bucket - b.bucket));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     // ========== ALERTS ==========
 
     // Save an alert
@@ -166,32 +741,27 @@ class StorageManager {
 
             const request = store.add(record);
 
-            request.onsuccess = () => {
-                resolve(request.result);
-                this.cleanupOldAlerts();
-            };
+            request.onsuccess = () => resolve(request.result);
 
             request.onerror = () => reject(request.error);
         });
     }
 
-    // Get all alerts (optionally filter by acknowledged status)
-    async getAlerts(acknowledgedOnly = null) {
+    // Get all alerts (optionally filter by acknowledged status and device).
+    // Booleans aren't valid IndexedDB keys, so the acknowledged filter runs here
+    // rather than on the index.
+    async getAlerts(acknowledgedOnly = null, deviceId = null) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['alerts'], 'readonly');
             const store = transaction.objectStore('alerts');
-
-            let request;
-            if (acknowledgedOnly !== null) {
-                const index = store.index('acknowledged');
-                request = index.getAll(acknowledgedOnly);
-            } else {
-                request = store.getAll();
-            }
+            const request = store.getAll();
 
             request.onsuccess = () => {
                 // Sort by timestamp descending
-                const alerts = request.result.sort((a, b) => b.timestamp - a.timestamp);
+                const alerts = request.result
+                    .filter(alert => acknowledgedOnly === null || !!alert.acknowledged === acknowledgedOnly)
+                    .filter(alert => !deviceId || alert.deviceId === deviceId)
+                    .sort((a, b) => b.timestamp - a.timestamp);
                 resolve(alerts);
             };
 
@@ -199,8 +769,14 @@ class StorageManager {
         });
     }
 
-    // Acknowledge an alert
-    async acknowledgeAlert(alertId) {
+    // Alerts that were still open, oldest first
+    async getActiveAlerts() {
+        const alerts = await this.getAlerts();
+        return alerts.filter(alert => alert.status === 'active').reverse();
+    }
+
+    // Merge changes into a stored alert (peak value, end time, ...)
+    async updateAlert(alertId, changes) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['alerts'], 'readwrite');
             const store = transaction.objectStore('alerts');
@@ -210,8 +786,7 @@ class StorageManager {
             getRequest.onsuccess = () => {
                 const alert = getRequest.result;
                 if (alert) {
-                    alert.acknowledged = true;
-                    const putRequest = store.put(alert);
+                    const putRequest = store.put({ ...alert, ...changes });
                     putRequest.onsuccess = () => resolve(true);
                     putRequest.onerror = () => reject(putRequest.error);
                 } else {
@@ -223,6 +798,37 @@ class StorageManager {
         });
     }
 
+    // Acknowledge an alert, recording who did and how long it took them.
+    // Resolves with { by, at, latency }, or null if the alert is gone.
+    async acknowledgeAlert(alertId, by = null, at = Date.now()) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['alerts'], 'readwrite');
+            const store = transaction.objectStore('alerts');
+
+            const getRequest = store.get(alertId);
+
+            getRequest.onsuccess = () => {
+                const alert = getRequest.result;
+                if (!alert) {
+                    resolve(null);
+                    return;
+                }
+
+                const latency = at - (alert.raisedAt || alert.timestamp);
+                alert.acknowledged = true;
+                alert.acknowledgedAt = at;
+                alert.acknowledgedBy = by;
+                alert.responseLatency = latency;
+
+                const putRequest = store.put(alert);
+                putRequest.onsuccess = () => resolve({ by, at, latency });
+                putRequest.onerror = () => reject(putRequest.error);
+            };
+
+            getRequest.onerror = () => reject(getRequest.error);
+        });
+    }
+
     // Clear all alerts
     async clearAlerts() {
         return new Promise((resolve, reject) => {
@@ -235,30 +841,50 @@ class StorageManager {
         });
     }
 
-    // Cleanup old alerts
-    async cleanupOldAlerts() {
-        const transaction = this.db.transaction(['alerts'], 'readwrite');
-        const store = transaction.objectStore('alerts');
+    // ========== SESSIONS ==========
 
-        const countRequest = store.count();
-        countRequest.onsuccess = () => {
-            const count = countRequest.result;
-            if (count > this.maxAlerts) {
-                const index = store.index('timestamp');
-                const cursorRequest = index.openCursor();
-                let deleted = 0;
-                const toDelete = count - this.maxAlerts;
-
-                cursorRequest.onsuccess = (event) => {
-                    const cursor = event.target.result;
-                    if (cursor && deleted < toDelete) {
-                        cursor.delete();
-                        deleted++;
-                        cursor.continue();
-                    }
-                };
+    // Save a new sleep session, resolving with its id
+    async saveSession(session) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessions'], 'readwrite');
+            const store = transaction.objectStore('sessions');
+            const request = store.add({ ...session });
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Replace a stored session
+    async updateSession(session) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessions'], 'readwrite');
+            const store = transaction.objectStore('sessions');
+            const request = store.put({ ...session });
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Sessions that started in a time range (optionally for one device), newest first
+    async getSessions(startTime = 0, endTime = Date.now(), deviceId = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sessions'], 'readonly');
+            const store = transaction.objectStore('sessions');
+
+            let request;
+            if (deviceId) {
+                const index = store.index('deviceId_startedAt');
+                request = index.getAll(IDBKeyRange.bound([deviceId, startTime], [deviceId, endTime]));
+            } else {
+                const index = store.index('startedAt');
+                request = index.getAll(IDBKeyRange.bound(startTime, endTime));
             }
-        };
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => b.startedAt - a.startedAt));
+            request.onerror = () => reject(request.error);
+        });
     }
 
     // ========== SETTINGS ==========
@@ -312,49 +938,250 @@ class StorageManager {
         });
     }
 
-    // ========== EXPORT ==========
+    // ========== RETENTION ==========
 
-    // Export all readings as JSON
-    async exportReadingsJSON(startTime = 0, endTime = Date.now()) {
-        const readings = await this.getReadings(startTime, endTime);
-        return JSON.stringify(readings, null, 2);
+    // Load the saved policy and schedule the cleanup job
+    async startRetention() {
+        const saved = await this.getSetting('retention');
+        if (saved) {
+            this.retention = { ...this.retentionDefaults, ...saved };
+        }
+
+        if (!this.retentionTimer) {
+            this.retentionTimer = setInterval(() => this.runRetention(), this.retentionInterval);
+        }
+
+        // First pass once the page has settled
+        setTimeout(() => this.runRetention(), 10000);
     }
 
-    // Export readings as CSV
-    async exportReadingsCSV(startTime = 0, endTime = Date.now()) {
-        const readings = await this.getReadings(startTime, endTime);
+    // Change how long stores keep their records, e.g. { readings: 7 * DAY }.
+    // Only values from retentionOptions are accepted.
+    async setRetention(changes) {
+        const retention = { ...this.retention };
 
-        if (readings.length === 0) return '';
+        Object.entries(changes).forEach(([store, keep]) => {
+            if (this.retentionOptions[store]?.includes(keep)) {
+                retention[store] = keep;
+            }
+        });
 
-        const headers = [
-            'timestamp', 'datetime',
-            'respiration_value', 'respiration_unit',
-            'audio_state', 'audio_level',
-            'body_temp_value', 'body_temp_unit',
-            'posture_state',
-            'radar_active', 'radar_movement',
-            'env_temp_value', 'env_co2_value', 'env_voc_value', 'env_gas_safe'
-        ];
+        this.retention = retention;
+        await this.saveSetting('retention', this.retention);
+        return this.retention;
+    }
+
+    // Browser storage estimate ({ usage, quota } in bytes), or null where unsupported
+    async estimateUsage() {
+        if (!navigator.storage?.estimate) return null;
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            console.warn('[Storage] Could not estimate usage:', error);
+            return null;
+        }
+    }
+
+    // Usage, quota and record count per store, for Settings
+    async getUsage() {
+        const estimate = await this.estimateUsage();
+
+        const counts = {};
+        for (const store of Object.keys(this.retentionIndexes)) {
+            counts[store] = await new Promise((resolve, reject) => {
+                const request = this.db.transaction([store], 'readonly').objectStore(store).count();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return {
+            usage: estimate?.usage ?? null,
+            quota: estimate?.quota ?? null,
+            counts,
+            lastRetention: this.lastRetention
+        };
+    }
+
+    // Apply the retention policy, then the quota. Overlapping calls share one run.
+    async runRetention() {
+        if (!this.db) return null;
+        if (this.retentionRunning) return this.retentionRunning;
+
+        this.retentionRunning = this.applyRetention().finally(() => {
+            this.retentionRunning = null;
+        });
+        return this.retentionRunning;
+    }
+
+    async applyRetention() {
+        const now = Date.now();
+        const deleted = {};
+
+        for (const [store, keep] of Object.entries(this.retention)) {
+            deleted[store] = keep === null ? 0 : await this.deleteOlderThan(store, now - keep);
+        }
+
+        // Still too big: halve the raw windows until under the limit or at the floor
+        let estimate = await this.estimateUsage();
+        const overQuota = !!estimate && estimate.usage > estimate.quota * this.quotaLimit;
+
+        for (const [store, floor] of Object.entries(this.quotaFloors)) {
+            let keep = this.retention[store];
+            while (estimate && estimate.usage > estimate.quota * this.quotaLimit && keep > floor) {
+                keep = Math.max(floor, keep / 2);
+                const hours = Math.round(keep / 3600000);
+                console.warn(`[Storage] Over ${Math.round(this.quotaLimit * 100)}% of quota - keeping ${store} for ${hours < 48 ? `${hours}h` : `${Math.round(hours / 24)} days`}`);
+                deleted[store] += await this.deleteOlderThan(store, now - keep);
+                estimate = await this.estimateUsage();
+            }
+        }
+
+        this.lastRetention = { at: now, deleted, usage: estimate, overQuota };
+
+        const total = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+        if (total > 0) {
+            console.log(`[Storage] Retention removed ${total} records`, deleted);
+        }
+
+        return this.lastRetention;
+    }
+
+    // Delete a store's records from before `cutoff`, oldest first, a batch per
+    // transaction. Open alerts and sessions are kept. Resolves with the count.
+    async deleteOlderThan(storeName, cutoff) {
+        let deleted = 0;
+        let after = null;
+
+        while (this.db) {
+            const batch = await this.deleteBatch(storeName, cutoff, after);
+            deleted += batch.deleted;
+            if (batch.done) break;
+
+            after = batch.lastKey;
+            // Let waiting reads and writes in between batches
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return deleted;
+    }
+
+    deleteBatch(storeName, cutoff, after) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const index = transaction.objectStore(storeName).index(this.retentionIndexes[storeName]);
+
+            const range = after === null
+                ? IDBKeyRange.upperBound(cutoff, true)
+                : IDBKeyRange.bound(after, cutoff, false, true);
+
+            let scanned = 0;
+            let deleted = 0;
+            let lastKey = null;
+            let done = true;
+
+            index.openCursor(range).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
 
-        const rows = readings.map(r => [
-            r.timestamp,
-            new Date(r.timestamp).toISOString(),
-            r.respiration?.value ?? '',
-            r.respiration?.unit ?? '',
-            r.audio?.state ?? '',
-            r.audio?.level ?? '',
-            r.bodyTemp?.value ?? '',
-            r.bodyTemp?.unit ?? '',
-            r.posture?.state ?? '',
-            r.radar?.active ?? '',
-            r.radar?.movement ?? '',
-            r.environment?.temp?.value ?? '',
-            r.environment?.co2?.value ?? '',
-            r.environment?.voc?.value ?? '',
-            r.environment?.gas?.safe ?? ''
-        ]);
-
-        return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+                if (scanned >= this.retentionBatchSize) {
+                    done = false;
+                    return;
+                }
+
+                if (cursor.value.status !== 'active') {
+                    cursor.delete();
+                    deleted++;
+                }
+                scanned++;
+                lastKey = cursor.key;
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve({ deleted, done, lastKey });
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // ========== BACKUP ==========
+
+    // Every record in a store (readings include any still queued)
+    async getAllRecords(storeName) {
+        await this.flush();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Empty a store
+    async clearStore(storeName) {
+        await this.flush();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).clear();
+
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Replace everything in several stores ({ store: records }) in one
+    // transaction, so a failure part way leaves the database as it was.
+    // Resolves with the number written per store.
+    async replaceStores(recordsByStore) {
+        await this.flush();
+
+        const storeNames = Object.keys(recordsByStore);
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            const counts = {};
+
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                store.clear();
+                recordsByStore[storeName].forEach(record => store.put(record));
+                counts[storeName] = recordsByStore[storeName].length;
+            });
+
+            transaction.oncomplete = () => resolve(counts);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Write records as they are (ids included), a batch per transaction.
+    // Resolves with the number written.
+    async putRecords(storeName, records, batchSize = 1000) {
+        for (let start = 0; start < records.length; start += batchSize) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+
+                records.slice(start, start + batchSize).forEach(record => store.put(record));
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        }
+
+        return records.length;
+    }
+
+    // ========== EXPORT ==========
+
+    // Export all readings as JSON
+    async exportReadingsJSON(startTime = 0, endTime = Date.now()) {
+        const readings = await this.getReadings(startTime, endTime);
+        return JSON.stringify(readings, null, 2);
     }
 }
 
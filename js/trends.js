@@ -1,6 +1,7 @@
 /* ========================================
    NURTHURE MONITOR - Trends Manager
    Chart data processing from stored readings
+   and rollups
    ======================================== */
 
 class TrendsManager {
@@ -12,56 +13,259 @@ class TrendsManager {
             '1m': 24 * 30
         };
 
+        // Which data each range reads: raw readings only cover the last few
+        // hours, so longer ranges use the minute / hour rollups
+        this.resolutions = {
+            '1h': 'raw',
+            '24h': 'minute',
+            '7d': 'hour',
+            '1m': 'hour'
+        };
+
+        // What each range is compared with: the same stretch of the night
+        // yesterday for 1H and 24H, last week for 7D, the 30 days before for 1M
+        this.comparisonOffsets = {
+            '1h': 24 * 60 * 60 * 1000,
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000,
+            '1m': 30 * 24 * 60 * 60 * 1000
+        };
+
         this.cachedData = {};
         this.cacheExpiry = 60000; // 1 minute cache
         this.lastCacheTime = {};
+
+        // New readings make a crib's cached charts stale (storage.js loads first)
+        window.storageManager?.on('written', ({ deviceIds }) => this.invalidate(deviceIds));
     }
 
-    // Get chart data for a sensor over time range
-    async getChartData(sensor, timeRange) {
-        const cacheKey = `${sensor}_${timeRange}`;
-        const now = Date.now();
+    // Get chart data for a sensor over time range (optionally for one device).
+    // `start` / `end` give the window the chart should span; `offset` (ms)
+    // moves that window back in time.
+    async getChartData(sensor, timeRange, deviceId = null, offset = 0) {
+        const cacheKey = `${deviceId || 'all'}_${sensor}_${timeRange}${offset ? `_${offset}` : ''}`;
+        const cached = this.getCached(cacheKey);
+        if (cached) return cached;
 
-        // Check cache
-        if (this.cachedData[cacheKey] &&
-            now - this.lastCacheTime[cacheKey] < this.cacheExpiry) {
-            return this.cachedData[cacheKey];
+        const source = await this.loadSource(timeRange, deviceId, offset);
+        const { start, end, resolution } = source;
+        const empty = { ...this.getEmptyData(), timeRange, start, end, sensor, deviceId };
+
+        const stats = window.sensorStats;
+        const thresholds = window.alertsManager?.thresholds[sensor] || null;
+        let data;
+        let samples;
+
+        if (source.readings) {
+            if (source.readings.length === 0) {
+                return empty;
+            }
+
+            data = this.extractSensorData(source.readings, sensor);
+            samples = stats.fromReadings(source.readings, sensor);
+        } else {
+            if (source.rollups.length === 0) {
+                return empty;
+            }
+
+            data = this.extractRollupData(source.rollups, sensor);
+            samples = stats.fromRollups(source.rollups, sensor);
         }
 
-        // Get hours for time range
+        const result = {
+            points: data.points,
+            values: data.values,
+            timestamps: data.timestamps,
+            stats: stats.summarize(samples, thresholds),
+            timeRange,
+            start,
+            end,
+            resolution,
+            sensor,
+            deviceId
+        };
+
+        this.setCached(cacheKey, result);
+        return result;
+    }
+
+    // Timeline of a state sensor (posture, audio) as segments of one state:
+    // { segments: [{ start, end, state }], counts: { state: readings } }.
+    // From rollups, each bucket takes its most common state.
+    async getStateData(sensor, timeRange, deviceId = null) {
+        const cacheKey = `${deviceId || 'all'}_${sensor}_${timeRange}_states`;
+        const cached = this.getCached(cacheKey);
+        if (cached) return cached;
+
+        const source = await this.loadSource(timeRange, deviceId);
+        const { start, end, resolution } = source;
+        const catalog = window.sensorCatalog;
+
+        const samples = [];
+        const counts = {};
+
+        if (source.readings) {
+            // A reading's state lasts until the next one, unless the sensor
+            // went quiet for longer than it may go stale
+            const maxGap = catalog.get(sensor).staleAfter || 60000;
+            const readings = source.readings
+                .map(reading => ({ timestamp: reading.timestamp, state: catalog.read(reading, sensor) }))
+                .filter(reading => reading.state !== null);
+
+            readings.forEach((reading, i) => {
+                const next = readings[i + 1];
+                const until = next && next.timestamp - reading.timestamp <= maxGap ? next.timestamp : reading.timestamp;
+                samples.push({ start: reading.timestamp, end: until, state: reading.state });
+                counts[reading.state] = (counts[reading.state] || 0) + 1;
+            });
+        } else {
+            const size = window.storageManager.rollupResolutions[resolution].size;
+
+            source.rollups.forEach(rollup => {
+                const states = rollup.states?.[sensor];
+                if (!states) return;
+
+                const [state] = Object.entries(states).reduce((best, entry) => entry[1] > best[1] ? entry : best);
+                samples.push({ start: rollup.bucket, end: rollup.bucket + size, state });
+                Object.entries(states).forEach(([value, count]) => {
+                    counts[value] = (counts[value] || 0) + count;
+                });
+            });
+        }
+
+        // Join back-to-back samples in the same state
+        const segments = [];
+        samples.forEach(sample => {
+            const last = segments[segments.length - 1];
+            if (last && last.state === sample.state && sample.start <= last.end) {
+                last.end = sample.end;
+            } else {
+                segments.push({ ...sample });
+            }
+        });
+
+        const result = {
+            segments,
+            counts,
+            timeRange,
+            start,
+            end,
+            resolution,
+            sensor,
+            deviceId,
+            isEmpty: segments.length === 0
+        };
+
+        this.setCached(cacheKey, result);
+        return result;
+    }
+
+    // What a time range is drawn from: raw readings for short ranges, merged
+    // rollups for longer ones. { resolution, start, end, readings | rollups }
+    async loadSource(timeRange, deviceId = null, offset = 0) {
         const hours = this.timeRanges[timeRange] || 1;
+        const end = Date.now() - offset;
+        const start = end - hours * 60 * 60 * 1000;
+        const resolution = this.resolutions[timeRange] || 'raw';
+        const source = { resolution, start, end };
 
-        // Fetch readings from storage
         if (!window.storageManager || !window.storageManager.db) {
-            return this.getEmptyData();
+            return resolution === 'raw' ? { ...source, readings: [] } : { ...source, rollups: [] };
         }
 
-        const readings = await window.storageManager.getReadingsLastHours(hours);
+        if (resolution === 'raw') {
+            return { ...source, readings: await window.storageManager.getReadings(start, end, deviceId) };
+        }
 
-        if (readings.length === 0) {
-            return this.getEmptyData();
+        const rollups = await window.storageManager.getRollups(resolution, start, end, deviceId);
+        return { ...source, rollups: this.mergeRollups(rollups) };
+    }
+
+    getCached(cacheKey) {
+        if (this.cachedData[cacheKey] &&
+            Date.now() - this.lastCacheTime[cacheKey] < this.cacheExpiry) {
+            return this.cachedData[cacheKey];
         }
+        return null;
+    }
 
-        // Extract sensor values
-        const data = this.extractSensorData(readings, sensor);
+    setCached(cacheKey, data) {
+        this.cachedData[cacheKey] = data;
+        this.lastCacheTime[cacheKey] = Date.now();
+    }
 
-        // Calculate statistics
-        const stats = this.calculateStats(data.values);
+    // ========== PERIOD COMPARISON ==========
 
-        const result = {
-            points: data.points,
-            values: data.values,
-            timestamps: data.timestamps,
-            stats,
+    // Chart data for the period a range is compared with (see
+    // comparisonOffsets), moved forward onto the current window so both line
+    // up by time of night
+    async getPreviousChartData(sensor, timeRange, deviceId = null) {
+        const offset = this.comparisonOffsets[timeRange];
+        const data = await this.getChartData(sensor, timeRange, deviceId, offset);
+
+        return {
+            ...data,
+            points: data.points.map(point => ({ ...point, x: point.x + offset })),
+            timestamps: data.timestamps.map(timestamp => timestamp + offset),
+            start: data.start + offset,
+            end: data.end + offset,
+            offset
+        };
+    }
+
+    // This period against the one before: average respiration, time above the
+    // CO2 limit (percent) and wake-ups, each { current, previous, delta }.
+    // A side without data is null, and so is the delta.
+    async getPeriodComparison(timeRange, deviceId = null) {
+        const offset = this.comparisonOffsets[timeRange];
+        const compare = (current, previous) => ({
+            current,
+            previous,
+            delta: current !== null && previous !== null ? Math.round((current - previous) * 100) / 100 : null
+        });
+
+        const [respiration, previousRespiration, co2, previousCo2] = await Promise.all([
+            this.getChartData('respiration', timeRange, deviceId),
+            this.getChartData('respiration', timeRange, deviceId, offset),
+            this.getChartData('co2', timeRange, deviceId),
+            this.getChartData('co2', timeRange, deviceId, offset)
+        ]);
+
+        return {
             timeRange,
-            sensor
+            offset,
+            respiration: compare(respiration.stats.avg, previousRespiration.stats.avg),
+            co2Above: compare(co2.stats.timeAbove, previousCo2.stats.timeAbove),
+            wakeUps: compare(
+                await this.countWakeUps(respiration.start, respiration.end, deviceId),
+                await this.countWakeUps(previousRespiration.start, previousRespiration.end, deviceId)
+            )
         };
+    }
 
-        // Cache result
-        this.cachedData[cacheKey] = result;
-        this.lastCacheTime[cacheKey] = now;
+    // Wake-ups recorded by sleep sessions within a window
+    async countWakeUps(start, end, deviceId = null) {
+        if (!window.storageManager || !window.storageManager.db) {
+            return null;
+        }
 
-        return result;
+        // A session that started the evening before can still have wake-ups in the window
+        const sessions = await window.storageManager.getSessions(start - 24 * 60 * 60 * 1000, end, deviceId);
+        return sessions.reduce((count, session) =>
+            count + (session.wakes || []).filter(wake => wake.start >= start && wake.start <= end).length, 0);
+    }
+
+    // Alerts raised by a sensor's rules in a window, oldest first (chart markers)
+    async getChartAlerts(sensor, start, end, deviceId = null) {
+        if (!window.storageManager || !window.storageManager.db) {
+            return [];
+        }
+
+        const alerts = await window.storageManager.getAlerts(null, deviceId);
+        return alerts
+            .filter(alert => alert.timestamp >= start && alert.timestamp <= end &&
+                window.alertsManager.getAlertSensor(alert) === sensor)
+            .reverse();
     }
 
     // Extract sensor data from readings
@@ -110,23 +314,62 @@ class TrendsManager {
         return { points, values, timestamps };
     }
 
-    // Calculate statistics
-    calculateStats(values) {
-        if (values.length === 0) {
-            return { min: null, max: null, avg: null, count: 0 };
-        }
+    // Combine rollups for the same bucket from different devices (the all-cribs view)
+    mergeRollups(rollups) {
+        const byBucket = new Map();
 
-        const sum = values.reduce((a, b) => a + b, 0);
-        const avg = sum / values.length;
-        const min = Math.min(...values);
-        const max = Math.max(...values);
+        rollups.forEach(rollup => {
+            const merged = byBucket.get(rollup.bucket);
+            if (!merged) {
+                byBucket.set(rollup.bucket, {
+                    bucket: rollup.bucket,
+                    values: JSON.parse(JSON.stringify(rollup.values)),
+                    states: JSON.parse(JSON.stringify(rollup.states || {}))
+                });
+                return;
+            }
 
-        return {
-            min: Math.round(min * 100) / 100,
-            max: Math.round(max * 100) / 100,
-            avg: Math.round(avg * 100) / 100,
-            count: values.length
-        };
+            Object.entries(rollup.states || {}).forEach(([key, counts]) => {
+                const target = merged.states[key] || (merged.states[key] = {});
+                Object.entries(counts).forEach(([state, count]) => {
+                    target[state] = (target[state] || 0) + count;
+                });
+            });
+
+            Object.entries(rollup.values).forEach(([key, stats]) => {
+                const target = merged.values[key];
+                if (!target) {
+                    merged.values[key] = { ...stats };
+                    return;
+                }
+                target.min = Math.min(target.min, stats.min);
+                target.max = Math.max(target.max, stats.max);
+                target.sum += stats.sum;
+                target.count += stats.count;
+            });
+        });
+
+        return [...byBucket.values()];
+    }
+
+    // One point per rollup bucket at its average, keeping min/max and how
+    // many readings it averages
+    extractRollupData(rollups, sensor) {
+        const points = [];
+        const values = [];
+        const timestamps = [];
+
+        rollups.forEach(rollup => {
+            const stats = rollup.values[sensor];
+            if (!stats || stats.count === 0) return;
+
+            const avg = stats.sum / stats.count;
+            values.push(avg);
+            timestamps.push(rollup.bucket);
+            points.push({ x: rollup.bucket, y: avg, min: stats.min, max: stats.max, count: stats.count });
+        });
+
+        return { points, values, timestamps };
     }
 
     // Get empty data structure
@@ -135,42 +378,97 @@ class TrendsManager {
             points: [],
             values: [],
             timestamps: [],
-            stats: { min: null, max: null, avg: null, count: 0 },
+            stats: window.sensorStats.summarize([]),
             isEmpty: true
         };
     }
 
-    // Downsample data for chart display (reduce points for performance)
+    // Downsample data for chart display (reduce points for performance).
+    // Consecutive points are grouped into about `maxPoints` buckets, each
+    // becoming one point at its mean with the bucket's min/max - so a short
+    // dip still shows in the envelope however far the chart is zoomed out.
+    // Rollup points count for the readings they average, and a gap in the
+    // data starts a new bucket rather than being averaged over.
     downsample(data, maxPoints = 100) {
         if (data.points.length <= maxPoints) {
             return data;
         }
 
-        const step = Math.ceil(data.points.length / maxPoints);
-        const sampledPoints = [];
-        const sampledValues = [];
-        const sampledTimestamps = [];
+        const size = Math.ceil(data.points.length / maxPoints);
+        const maxGap = this.getMaxGap(data.points);
+        const points = [];
+        let bucket = [];
 
-        for (let i = 0; i < data.points.length; i += step) {
-            sampledPoints.push(data.points[i]);
-            sampledValues.push(data.values[i]);
-            sampledTimestamps.push(data.timestamps[i]);
-        }
+        const flush = () => {
+            let x = 0;
+            let y = 0;
+            let weight = 0;
+            let min = Infinity;
+            let max = -Infinity;
+            bucket.forEach(point => {
+                const count = point.count ?? 1;
+                x += point.x;
+                y += point.y * count;
+                weight += count;
+                // Rollup points carry their own min/max
+                min = Math.min(min, point.min ?? point.y);
+                max = Math.max(max, point.max ?? point.y);
+            });
+
+            points.push({ x: x / bucket.length, y: y / weight, min, max, count: weight });
+            bucket = [];
+        };
+
+        data.points.forEach((point, i) => {
+            const previous = data.points[i - 1];
+            if (bucket.length === size || (bucket.length > 0 && point.x - previous.x > maxGap)) {
+                flush();
+            }
+            bucket.push(point);
+        });
+        flush();
 
         return {
             ...data,
-            points: sampledPoints,
-            values: sampledValues,
-            timestamps: sampledTimestamps
+            points,
+            values: points.map(point => point.y),
+            timestamps: points.map(point => point.x)
         };
     }
 
+    // Longest step between points that isn't a gap in the data: a few times
+    // the usual (median) spacing, which is the poll interval for readings and
+    // the bucket size for rollups
+    getMaxGap(points) {
+        const steps = [];
+        for (let i = 1; i < points.length; i++) {
+            // Several cribs can report at the same moment
+            if (points[i].x > points[i - 1].x) steps.push(points[i].x - points[i - 1].x);
+        }
+        if (steps.length === 0) return Infinity;
+
+        steps.sort((a, b) => a - b);
+        return steps[Math.floor(steps.length / 2)] * 3;
+    }
+
     // Clear cache
     clearCache() {
         this.cachedData = {};
         this.lastCacheTime = {};
     }
 
+    // Drop cached data for these cribs, and the all-cribs view they're part of
+    invalidate(deviceIds) {
+        const prefixes = [...deviceIds, 'all'].map(id => `${id}_`);
+
+        Object.keys(this.cachedData).forEach(key => {
+            if (prefixes.some(prefix => key.startsWith(prefix))) {
+                delete this.cachedData[key];
+                delete this.lastCacheTime[key];
+            }
+        });
+    }
+
     // Format timestamp for chart axis
     formatTimestamp(timestamp, timeRange) {
         const date = new Date(timestamp);